@@ -65,7 +65,17 @@ registry.register('logger', {
 });
 
 // Register a counter service
+// The contract rejects unknown actions and bad values before they are queued
+const amount = { type: 'object', properties: { value: { type: 'number' } } };
 registry.register('counter', {
+  contract: {
+    operations: {
+      increment: { request: amount },
+      decrement: { request: amount },
+      reset: {}
+    }
+  },
+
   onStart: async (context) => {
     console.log('🔢 Counter starting...');
     context.count = 0;
@@ -0,0 +1,262 @@
+import { parseArgs } from 'util';
+import { unlink } from 'fs/promises';
+import { ServiceRegistry } from './index.js';
+import { ControlServer, ControlClient } from './control.js';
+
+/**
+ * The eiasw command-line tool
+ *
+ * `eiasw run` hosts the services of a manifest in the foreground and
+ * listens on a Unix socket; every other command talks to that daemon
+ * through a ControlClient.
+ */
+
+const USAGE = `Usage: eiasw <command> [options]
+
+Commands:
+  run [manifest]          Host the services in a JSON or YAML manifest
+                          (default eiasw.json)
+  status [name]           Show service states
+  start <name>            Start a service
+  stop <name>             Stop a service
+  restart <name>          Restart a service
+  send <name> <json>      Send a message and print the response
+  logs                    Show service events
+
+Options:
+  --socket <path>         Control socket (default $EIASW_SOCKET or eiasw.sock)
+  --json                  Print JSON instead of tables
+  --timeout <ms>          Timeout for send, or for a draining stop
+  --mode <drain|reject>   How stop treats queued messages
+  --follow, -f            Keep printing log entries as they happen
+  --limit <n>             Show only the last n log entries
+  --help, -h              Show this help
+`;
+
+const OPTIONS = {
+  socket: { type: 'string' },
+  json: { type: 'boolean' },
+  timeout: { type: 'string' },
+  mode: { type: 'string' },
+  follow: { type: 'boolean', short: 'f' },
+  limit: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Positional arguments each command takes: [required, optional]
+const ARITY = {
+  run: [0, 1],
+  status: [0, 1],
+  start: [1, 0],
+  stop: [1, 0],
+  restart: [1, 0],
+  send: [2, 0],
+  logs: [0, 0]
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {Object} [io] - { stdout, stderr } streams
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let command;
+  let args;
+  let options;
+  try {
+    ({ command, args, options } = parseCommand(argv));
+  } catch (error) {
+    io.stderr.write(`eiasw: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+  if (!command) {
+    io.stderr.write(USAGE);
+    return 2;
+  }
+
+  const socket = options.socket ?? process.env.EIASW_SOCKET ?? 'eiasw.sock';
+  try {
+    if (command === 'run') {
+      await run(args[0] ?? 'eiasw.json', socket, options, io);
+    } else {
+      await control(command, args, new ControlClient(socket), options, io);
+    }
+    return 0;
+  } catch (error) {
+    io.stderr.write(`eiasw: ${error.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * @private
+ */
+function parseCommand(argv) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (command === undefined) {
+    return { command, args, options };
+  }
+  if (!ARITY[command]) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  const [required, optional] = ARITY[command];
+  if (args.length < required || args.length > required + optional) {
+    throw new Error(`Wrong number of arguments for ${command}`);
+  }
+  for (const name of ['timeout', 'limit']) {
+    if (options[name] !== undefined) {
+      const value = Number(options[name]);
+      if (!(value >= 0)) {
+        throw new Error(`--${name} must be a number (got ${options[name]})`);
+      }
+      options[name] = value;
+    }
+  }
+  return { command, args, options };
+}
+
+/**
+ * Host a manifest's services until SIGINT or SIGTERM
+ * @private
+ */
+async function run(manifest, socket, options, io) {
+  const registry = await ServiceRegistry.fromManifest(manifest);
+  const server = new ControlServer(registry);
+  server.on('log', (entry) => io.stdout.write(formatEntry(entry, options) + '\n'));
+
+  await claimSocket(socket);
+  await server.listen(socket);
+  try {
+    try {
+      await registry.startAll();
+    } catch (error) {
+      // Stop the services that did start, or they keep the process alive
+      await registry.stopAll().catch(() => {});
+      throw error;
+    }
+    server.log('daemon:listening', null, socket);
+
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    server.log('daemon:stopping', null);
+    await registry.stopAll({ mode: 'drain', timeout: options.timeout });
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Remove a socket file left behind by a daemon that died, but never
+ * take over one that still answers
+ * @private
+ */
+async function claimSocket(socket) {
+  try {
+    await new ControlClient(socket).request('status');
+  } catch {
+    await unlink(socket).catch(() => {});
+    return;
+  }
+  throw new Error(`An eiasw daemon is already listening on ${socket}`);
+}
+
+/**
+ * @private
+ */
+async function control(command, args, client, options, io) {
+  const [name] = args;
+  const print = (value) => io.stdout.write(value + '\n');
+
+  switch (command) {
+    case 'status': {
+      let services = await client.request('status');
+      if (name !== undefined) {
+        services = services.filter((service) => service.name === name);
+        if (services.length === 0) {
+          throw new Error(`Service ${name} is not registered`);
+        }
+      }
+      print(options.json ? JSON.stringify(services, null, 2) : formatStatus(services));
+      return;
+    }
+    case 'start':
+    case 'stop':
+    case 'restart': {
+      await client.request(command, { name, mode: options.mode, timeout: options.timeout });
+      const done = { start: 'started', stop: 'stopped', restart: 'restarted' }[command];
+      print(options.json ? JSON.stringify({ name, ok: true }) : `${name} ${done}`);
+      return;
+    }
+    case 'send': {
+      let message;
+      try {
+        message = JSON.parse(args[1]);
+      } catch (error) {
+        throw new Error(`Message is not valid JSON: ${error.message}`);
+      }
+      const response = await client.request('send', { name, message, timeout: options.timeout });
+      print(JSON.stringify(response ?? null, null, options.json ? undefined : 2));
+      return;
+    }
+    case 'logs':
+      await client.request('logs', { follow: options.follow, limit: options.limit }, (entry) => {
+        print(formatEntry(entry, options));
+      });
+      return;
+  }
+}
+
+/**
+ * Render service states as an aligned table
+ * @private
+ */
+function formatStatus(services) {
+  const columns = ['NAME', 'STATE', 'HEALTH', 'QUEUE', 'IN-FLIGHT', 'RECEIVED', 'FAILED', 'RESTARTS', 'UPTIME'];
+  const rows = services.map((service) => [
+    service.name,
+    service.state,
+    service.health ?? '-',
+    service.queueLength,
+    service.inFlight,
+    service.received,
+    service.failed,
+    service.restarts,
+    service.state === 'running' ? formatDuration(service.uptime) : '-'
+  ].map(String));
+
+  const widths = columns.map((column, index) => {
+    return Math.max(column.length, ...rows.map((row) => row[index].length));
+  });
+  return [columns, ...rows]
+    .map((row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * @private
+ */
+function formatEntry(entry, options) {
+  if (options.json) {
+    return JSON.stringify(entry);
+  }
+  return [entry.time, entry.event, entry.service, entry.message].filter((part) => part != null).join(' ');
+}
+
+/**
+ * @private
+ */
+function formatDuration(seconds) {
+  const s = Math.floor(seconds);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m${s % 60}s`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h${Math.floor(s / 60) % 60}m`;
+  return `${Math.floor(s / 86400)}d${Math.floor(s / 3600) % 24}h`;
+}
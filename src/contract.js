@@ -0,0 +1,221 @@
+import { isObject } from './util.js';
+
+/**
+ * Message contracts - declared operations checked against a JSON Schema subset
+ *
+ * A handler declares:
+ *
+ *   contract: {
+ *     field: 'action',                  // message property naming the operation
+ *     operations: {
+ *       increment: {
+ *         description: 'Add to the counter',
+ *         request: { type: 'object', properties: { value: { type: 'integer' } } },
+ *         response: { type: 'object', required: ['count'] }
+ *       }
+ *     }
+ *   }
+ *
+ * Supported keywords: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, plus the annotations title, description,
+ * default and examples. Anything else is refused when the contract is
+ * declared rather than silently ignored.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const KEYWORDS = new Set([
+  'type', 'enum', 'const', 'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'title', 'description', 'default', 'examples'
+]);
+
+export class Contract {
+  /**
+   * @param {Object} declaration - { field = 'action', operations }
+   */
+  constructor(declaration) {
+    this.field = declaration.field ?? 'action';
+    this.operations = declaration.operations ?? {};
+    if (typeof this.operations !== 'object' || Object.keys(this.operations).length === 0) {
+      throw new Error('Contract needs at least one operation');
+    }
+    for (const [name, operation] of Object.entries(this.operations)) {
+      for (const direction of ['request', 'response']) {
+        if (operation[direction] !== undefined) {
+          checkSchema(operation[direction], `${name}.${direction}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check a message against its operation's request schema
+   * @param {*} message
+   * @returns {{operation: string|null, errors: Object[]}}
+   */
+  checkRequest(message) {
+    if (!isObject(message)) {
+      return { operation: null, errors: [{ path: '', keyword: 'type', message: 'must be object' }] };
+    }
+    const operation = message[this.field];
+    if (!Object.hasOwn(this.operations, operation)) {
+      return {
+        operation: null,
+        errors: [{
+          path: `/${this.field}`,
+          keyword: 'enum',
+          message: `must be one of ${Object.keys(this.operations).join(', ')}`
+        }]
+      };
+    }
+    const schema = this.operations[operation].request;
+    return { operation, errors: schema ? validate(schema, message) : [] };
+  }
+
+  /**
+   * Check a handler's response against its operation's response schema
+   * @param {string} operation
+   * @param {*} response
+   * @returns {Object[]} Validation errors
+   */
+  checkResponse(operation, response) {
+    const schema = this.operations[operation]?.response;
+    return schema ? validate(schema, response) : [];
+  }
+
+  /**
+   * A copy of the declared operations
+   */
+  describe() {
+    return structuredClone({ field: this.field, operations: this.operations });
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path=''] - JSON Pointer of value, used in errors
+ * @returns {Object[]} Errors as { path, keyword, message }
+ */
+export function validate(schema, value, path = '') {
+  const errors = [];
+  const fail = (keyword, message, at = path) => errors.push({ path: at, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && !equal(value, schema.const)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum !== undefined && !schema.enum.some((option) => equal(value, option))) {
+    fail('enum', `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}/${index}`)));
+    }
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required ?? []) {
+      if (!Object.hasOwn(value, key)) {
+        fail('required', `must have property ${key}`, `${path}/${escape(key)}`);
+      }
+    }
+    const properties = schema.properties ?? {};
+    for (const [key, item] of Object.entries(value)) {
+      const at = `${path}/${escape(key)}`;
+      if (Object.hasOwn(properties, key)) {
+        errors.push(...validate(properties[key], item, at));
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', 'is not allowed', at);
+      } else if (isObject(schema.additionalProperties)) {
+        errors.push(...validate(schema.additionalProperties, item, at));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Refuse schemas using keywords or types outside the subset
+ * @private
+ */
+function checkSchema(schema, where) {
+  if (!isObject(schema)) {
+    throw new Error(`Schema ${where} must be an object`);
+  }
+  for (const keyword of Object.keys(schema)) {
+    if (!KEYWORDS.has(keyword)) {
+      throw new Error(`Schema ${where} uses unsupported keyword "${keyword}"`);
+    }
+  }
+  for (const type of [].concat(schema.type ?? [])) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Schema ${where} has unknown type "${type}"`);
+    }
+  }
+  for (const [key, property] of Object.entries(schema.properties ?? {})) {
+    checkSchema(property, `${where}.properties.${key}`);
+  }
+  if (isObject(schema.additionalProperties)) {
+    checkSchema(schema.additionalProperties, `${where}.additionalProperties`);
+  }
+  if (schema.items !== undefined) {
+    checkSchema(schema.items, `${where}.items`);
+  }
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function escape(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
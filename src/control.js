@@ -0,0 +1,301 @@
+import { EventEmitter } from 'events';
+import net from 'net';
+import { serializeError, deserializeError } from './isolation.js';
+
+/**
+ * Control channel for a running registry
+ *
+ * A ControlServer listens on a Unix socket and answers newline-delimited
+ * JSON requests { command, ...args } with { ok: true, result } or
+ * { ok: false, error }. The logs command first sends recorded entries as
+ * { entry } lines; with follow it keeps sending them until the client
+ * hangs up. ControlClient makes one connection per request.
+ */
+
+// Registry events recorded for the logs command
+const LOGGED_EVENTS = [
+  'service:started',
+  'service:stopped',
+  'service:error',
+  'service:unhealthy',
+  'service:reloaded',
+  'service:queue-high',
+  'service:queue-low',
+  'service:snapshot-error',
+  'service:trace-error',
+  'schedule:error'
+];
+
+// Returned by a logs command that stays open
+const FOLLOWING = Symbol('following');
+
+/**
+ * ControlServer - Serves status and lifecycle commands for a ServiceRegistry
+ */
+export class ControlServer extends EventEmitter {
+  /**
+   * @param {ServiceRegistry} registry - The registry to control
+   * @param {Object} [options]
+   * @param {number} [options.logSize=1000] - Log entries kept for the logs command
+   */
+  constructor(registry, options = {}) {
+    super();
+    this.registry = registry;
+    this.logSize = options.logSize ?? 1000;
+    this.entries = [];
+    this.followers = new Set();
+    this.sockets = new Set();
+    this.server = net.createServer((socket) => this._accept(socket));
+
+    this.recorders = LOGGED_EVENTS.map((event) => {
+      const listener = (e = {}) => this.log(event, e.name ?? null, e.error?.message ?? null);
+      registry.on(event, listener);
+      return [event, listener];
+    });
+  }
+
+  /**
+   * Record a log entry and pass it to followers
+   * @param {string} event
+   * @param {string|null} service
+   * @param {string|null} [message]
+   */
+  log(event, service, message = null) {
+    const entry = { time: new Date().toISOString(), event, service, message };
+    this.entries.push(entry);
+    if (this.entries.length > this.logSize) {
+      this.entries.shift();
+    }
+    this.emit('log', entry);
+    for (const follower of this.followers) {
+      follower(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Start listening
+   * @param {string} path - Unix socket path
+   * @returns {Promise<string>}
+   */
+  listen(path) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(path, () => {
+        this.server.off('error', reject);
+        this.emit('listening', path);
+        resolve(path);
+      });
+    });
+  }
+
+  /**
+   * Stop listening, drop clients and stop recording
+   */
+  close() {
+    for (const [event, listener] of this.recorders) {
+      this.registry.off(event, listener);
+    }
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.emit('close');
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _accept(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+    readLines(socket, (line) => {
+      let request;
+      try {
+        request = JSON.parse(line);
+      } catch {
+        this._reply(socket, { ok: false, error: serializeError(new Error('Invalid request')) });
+        return;
+      }
+      this._handle(socket, request).then(
+        (result) => result !== FOLLOWING && this._reply(socket, { ok: true, result }),
+        (error) => this._reply(socket, { ok: false, error: serializeError(error) })
+      ).catch(() => socket.destroy());
+    });
+  }
+
+  /**
+   * @private
+   */
+  _reply(socket, response) {
+    if (socket.destroyed) {
+      return;
+    }
+    let line;
+    try {
+      line = JSON.stringify(response);
+    } catch (error) {
+      // A BigInt or circular result must not take the daemon down
+      const failure = new Error(`Response is not JSON-serializable: ${error.message}`);
+      line = JSON.stringify({ ok: false, error: serializeError(failure) });
+    }
+    socket.write(line + '\n');
+  }
+
+  /**
+   * Run one command
+   * @private
+   */
+  async _handle(socket, request) {
+    const { command, name } = request;
+    switch (command) {
+      case 'status':
+        return this._status();
+      case 'start':
+        await this.registry.start(name);
+        return true;
+      case 'stop':
+        await this.registry.stop(name, { mode: request.mode, timeout: request.timeout });
+        return true;
+      case 'restart':
+        await this._worker(name).restart();
+        return true;
+      case 'send':
+        return this.registry.send(name, request.message, { timeout: request.timeout });
+      case 'logs': {
+        const entries = request.limit ? this.entries.slice(-request.limit) : this.entries;
+        for (const entry of entries) {
+          this._reply(socket, { entry });
+        }
+        if (!request.follow) {
+          return true;
+        }
+        const follower = (entry) => this._reply(socket, { entry });
+        this.followers.add(follower);
+        socket.on('close', () => this.followers.delete(follower));
+        return FOLLOWING;
+      }
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _worker(name) {
+    const worker = this.registry.get(name);
+    if (!worker) {
+      throw new Error(`Service ${name} is not registered`);
+    }
+    return worker;
+  }
+
+  /**
+   * Service states without their contexts, which need not be JSON-safe
+   * @private
+   */
+  _status() {
+    const { services } = this.registry.metrics({ format: 'json' });
+    return this.registry.list().map((name) => {
+      const state = this.registry.get(name).getState();
+      const metrics = services[name];
+      return {
+        name,
+        state: state.state,
+        health: state.health?.status ?? null,
+        isolation: state.isolation,
+        dependsOn: state.dependsOn,
+        queueLength: state.queueLength,
+        inFlight: state.inFlight,
+        received: metrics.received,
+        succeeded: metrics.succeeded,
+        failed: metrics.failed,
+        dropped: metrics.dropped,
+        restarts: metrics.restarts,
+        uptime: metrics.uptime
+      };
+    });
+  }
+}
+
+/**
+ * ControlClient - Sends commands to a ControlServer
+ */
+export class ControlClient {
+  /**
+   * @param {string} path - Unix socket path of the daemon
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  /**
+   * Send one command
+   * @param {string} command
+   * @param {Object} [args]
+   * @param {Function} [onEntry] - Receives log entries
+   * @returns {Promise<*>} The result; a follow resolves when the daemon goes away
+   */
+  request(command, args = {}, onEntry) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(this.path);
+      let settled = false;
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        socket.end();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      socket.on('connect', () => socket.write(JSON.stringify({ command, ...args }) + '\n'));
+      socket.on('error', (error) => {
+        if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+          error.message = `No eiasw daemon is listening on ${this.path}`;
+        }
+        finish(error);
+      });
+      socket.on('close', () => {
+        if (command === 'logs' && args.follow) {
+          finish(null, undefined);
+        } else {
+          finish(new Error(`The eiasw daemon on ${this.path} closed the connection before answering`));
+        }
+      });
+      readLines(socket, (line) => {
+        const response = JSON.parse(line);
+        if ('entry' in response) {
+          onEntry?.(response.entry);
+        } else if (response.ok) {
+          finish(null, response.result);
+        } else {
+          finish(deserializeError(response.error));
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Call onLine for each complete line arriving on a socket
+ * @private
+ */
+function readLines(socket, onLine) {
+  let buffered = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffered += chunk;
+    let newline;
+    while ((newline = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, newline);
+      buffered = buffered.slice(newline + 1);
+      if (line) onLine(line);
+    }
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * Error types raised by service workers
+ *
+ * Each carries the service name and a stable `code` so callers can tell
+ * failures apart without matching on messages.
+ */
+
+/**
+ * A message did not complete within its timeout
+ */
+export class MessageTimeoutError extends Error {
+  constructor(service, timeout) {
+    super(`Message to ${service} timed out after ${timeout}ms`);
+    this.name = 'MessageTimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.service = service;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * A message was cancelled through its AbortSignal
+ */
+export class MessageAbortError extends Error {
+  constructor(service, reason) {
+    super(`Message to ${service} was aborted`, { cause: reason });
+    this.name = 'MessageAbortError';
+    this.code = 'ABORT_ERR';
+    this.service = service;
+  }
+}
+
+/**
+ * A message was refused because the service's mailbox is full
+ */
+export class MailboxFullError extends Error {
+  constructor(service, capacity) {
+    super(`Mailbox of ${service} is full (capacity: ${capacity})`);
+    this.name = 'MailboxFullError';
+    this.code = 'EMAILBOXFULL';
+    this.service = service;
+    this.capacity = capacity;
+  }
+}
+
+/**
+ * A queued message was discarded by the mailbox overflow policy
+ */
+export class MessageDroppedError extends Error {
+  constructor(service, policy) {
+    super(`Message to ${service} was dropped (overflow: ${policy})`);
+    this.name = 'MessageDroppedError';
+    this.code = 'EDROPPED';
+    this.service = service;
+    this.policy = policy;
+  }
+}
+
+/**
+ * The thread or child process running an isolated service exited unexpectedly
+ */
+export class ServiceCrashError extends Error {
+  constructor(service, isolation, exitCode, signal = null, cause = undefined) {
+    const how = signal ? `signal ${signal}` : `code ${exitCode}`;
+    super(`Service ${service} ${isolation} exited with ${how}`, { cause });
+    this.name = 'ServiceCrashError';
+    this.code = 'ECRASH';
+    this.service = service;
+    this.isolation = isolation;
+    this.exitCode = exitCode;
+    this.signal = signal;
+  }
+}
+
+/**
+ * A pending message was failed because its service stopped before handling it
+ */
+export class ServiceStoppedError extends Error {
+  constructor(service) {
+    super(`Service ${service} stopped before handling the message`);
+    this.name = 'ServiceStoppedError';
+    this.code = 'ESTOPPED';
+    this.service = service;
+  }
+}
+
+/**
+ * A message's handler was already running when its service stopped
+ */
+export class MessageInterruptedError extends Error {
+  constructor(service) {
+    super(`Service ${service} stopped while handling the message`);
+    this.name = 'MessageInterruptedError';
+    this.code = 'EINTERRUPTED';
+    this.service = service;
+  }
+}
+
+/**
+ * A message or response did not match the service's declared contract
+ */
+export class MessageValidationError extends Error {
+  constructor(service, operation, errors, direction = 'request') {
+    const [first] = errors;
+    super(`Invalid ${direction} for ${service}${operation ? `.${operation}` : ''}: ${first.path || '(message)'} ${first.message}`);
+    this.name = 'MessageValidationError';
+    this.code = 'EVALIDATION';
+    this.service = service;
+    this.operation = operation;
+    this.direction = direction;
+    this.errors = errors;
+  }
+}
+
+/**
+ * A service-to-service call would wait on a mailbox slot its own call chain holds
+ */
+export class CallCycleError extends Error {
+  constructor(service, chain) {
+    super(`Call to ${service} would deadlock: ${chain.join(' -> ')}`);
+    this.name = 'CallCycleError';
+    this.code = 'ECALLCYCLE';
+    this.service = service;
+    this.chain = chain;
+  }
+}
+
+/**
+ * A manifest entry is invalid or its module cannot be loaded
+ * `entry` points at the offending value, e.g. services.api.dependsOn[1].
+ */
+export class ManifestError extends Error {
+  constructor(file, entry, message, service = null, cause) {
+    super(entry ? `${file}: ${entry}: ${message}` : `${file}: ${message}`, { cause });
+    this.name = 'ManifestError';
+    this.code = 'EMANIFEST';
+    this.service = service;
+    this.file = file;
+    this.entry = entry;
+  }
+}
@@ -1,5 +1,48 @@
 import { EventEmitter } from 'events';
 import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+import {
+  MessageTimeoutError,
+  MessageAbortError,
+  MailboxFullError,
+  MessageDroppedError,
+  ServiceCrashError,
+  ServiceStoppedError,
+  MessageInterruptedError,
+  MessageValidationError,
+  CallCycleError,
+  ManifestError
+} from './errors.js';
+import { Contract } from './contract.js';
+import { IsolatedHandler } from './isolation.js';
+import { Namespace } from './namespace.js';
+import { MemoryStore, JsonFileStore, LogStore } from './persistence.js';
+import { MemoryJournal, FileJournal } from './journal.js';
+import { compose, checkMiddleware } from './middleware.js';
+import { Histogram, ServiceMetrics, renderPrometheus } from './metrics.js';
+import { newTraceId, newSpanId, InMemoryExporter, OtlpJsonFileExporter } from './tracing.js';
+import { Schedule, ManualClock, systemClock } from './schedule.js';
+import { loadManifest } from './manifest.js';
+import { parseTopic, parsePattern, matchTopic } from './topics.js';
+import { MessageQueue } from './queue.js';
+import { NinePServer } from './ninep.js';
+import { Supervisor } from './supervisor.js';
+
+const OVERFLOW_POLICIES = ['reject', 'drop-oldest', 'drop-newest', 'block-until-space'];
+const STOP_MODES = ['drain', 'reject'];
+const STOP_GRACE = 5000;
+const HEALTH_DEFAULTS = { interval: 10000, timeout: 1000, threshold: 3 };
+
+function isAsyncIterable(value) {
+  return value != null && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+function aborted(signal) {
+  if (signal.aborted) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+}
 
 /**
  * ServiceWorker - A persistent daemon process inspired by Plan9 file servers
@@ -12,14 +55,139 @@ import { randomUUID } from 'crypto';
  * - Communicates via message passing
  */
 export class ServiceWorker extends EventEmitter {
-  constructor(name, handler) {
+  /**
+   * @param {string} name - Service name
+   * @param {Object} handler - { onStart, onMessage, onStop, onHealth, contract }, or
+   *   { module, export, isolation, contract } to run a handler module in a
+   *   worker thread ('thread') or child process ('process')
+   * @param {Object} [options]
+   * @param {string[]} [options.dependsOn=[]] - Services that must run before this one
+   * @param {Object} [options.mailbox] - Mailbox limits
+   * @param {number} [options.mailbox.capacity=Infinity] - Maximum queued messages
+   * @param {string} [options.mailbox.overflow='reject'] - 'reject', 'drop-oldest',
+   *   'drop-newest' or 'block-until-space'
+   * @param {number} [options.mailbox.highWatermark=capacity] - Emit 'queue:high' at this length
+   * @param {number} [options.mailbox.lowWatermark=highWatermark/2] - Emit 'queue:low' at this length
+   * @param {number} [options.mailbox.agingInterval=1000] - Milliseconds of waiting that
+   *   raise a message by one priority level; Infinity for strict priority
+   * @param {number} [options.concurrency=1] - Maximum onMessage calls running at once
+   * @param {Function} [options.partitionKey] - (message) => key; messages with the
+   *   same key are handled strictly in order, one at a time
+   * @param {Object} [options.persistence] - Context snapshots
+   * @param {Object} options.persistence.store - Adapter with load(name) and save(name, snapshot)
+   * @param {number} [options.persistence.interval] - Also snapshot every this many ms
+   * @param {Function} [options.persistence.serialize] - (context) => JSON-safe snapshot
+   * @param {Function} [options.persistence.deserialize] - (snapshot) => context
+   * @param {Object} [options.journal] - Event sourcing: journal every message before
+   *   it is handled and replay the journal on start
+   * @param {Object} options.journal.store - Journal with append, read and compact
+   * @param {boolean} [options.journal.fromSnapshot=true] - Replay on top of the latest
+   *   snapshot instead of from the first entry
+   * @param {Object} [options.metrics]
+   * @param {number[]} [options.metrics.buckets] - Queue-wait and handler-duration
+   *   histogram buckets, in seconds
+   * @param {Object} [options.tracing]
+   * @param {Object} [options.tracing.exporter] - Receives queue and handler spans;
+   *   defaults to the registry's exporter
+   * @param {Object} [options.health] - Health probing by the registry; on by
+   *   default for handlers with onHealth
+   * @param {number} [options.health.interval=10000] - Milliseconds between probes
+   * @param {number} [options.health.timeout=1000] - A probe slower than this fails
+   * @param {number} [options.health.threshold=3] - Consecutive failures that make
+   *   the service unhealthy
+   * @param {*} [options.config] - Copied into context.config before each onStart
+   */
+  constructor(name, handler, options = {}) {
     super();
     this.name = name;
-    this.handler = handler;
+    this.handler = handler.module ? new IsolatedHandler(name, handler) : handler;
+    this.contract = handler.contract ? new Contract(handler.contract) : null;
+    this.subscriptions = (handler.subscriptions ?? []).map(parsePattern);
+    if (this.handler instanceof IsolatedHandler) {
+      this.handler.on('crash', (error) => this._crashed(error));
+    }
+    this.dependsOn = options.dependsOn ?? [];
+    this.config = options.config;
     this.state = 'stopped';
     this.context = {};
-    this.messageQueue = [];
     this.processing = false;
+    this.concurrency = options.concurrency ?? 1;
+    this.partitionKey = options.partitionKey ?? null;
+    this.inFlight = 0;
+    if (!(this.concurrency >= 1)) {
+      throw new Error(`Concurrency must be at least 1 (got ${this.concurrency})`);
+    }
+
+    const mailbox = options.mailbox ?? {};
+    const capacity = mailbox.capacity ?? Infinity;
+    const highWatermark = mailbox.highWatermark ?? capacity;
+    this.mailbox = {
+      capacity,
+      overflow: mailbox.overflow ?? 'reject',
+      highWatermark,
+      lowWatermark: mailbox.lowWatermark ?? Math.floor(highWatermark / 2)
+    };
+    if (!OVERFLOW_POLICIES.includes(this.mailbox.overflow)) {
+      throw new Error(`Unknown mailbox overflow policy: ${this.mailbox.overflow}`);
+    }
+    if (!(capacity >= 1)) {
+      throw new Error(`Mailbox capacity must be at least 1 (got ${capacity})`);
+    }
+    this.messageQueue = new MessageQueue({ agingInterval: mailbox.agingInterval });
+    this.blockedSenders = [];
+    this.dropped = 0;
+    this.aboveHighWatermark = false;
+
+    this.persistence = options.persistence
+      ? {
+          serialize: (context) => context,
+          deserialize: (snapshot) => snapshot,
+          ...options.persistence
+        }
+      : null;
+    if (this.persistence && !this.persistence.store) {
+      throw new Error('Persistence needs a store');
+    }
+    this.snapshotTimer = null;
+
+    this.journal = options.journal ? { fromSnapshot: true, ...options.journal } : null;
+    if (this.journal && !this.journal.store) {
+      throw new Error('Journal needs a store');
+    }
+    // Last journal entry written, and the last one whose message was handled
+    this.journalSeq = 0;
+    this.appliedSeq = 0;
+
+    // Set while reload() swaps the handler; queued messages wait
+    this.paused = false;
+    this.active = new Set();
+    this.waiters = [];
+
+    this.middleware = [];
+    // Set when registered; resolves ctx.call() targets and shared middleware
+    this.registry = null;
+
+    this.metrics = new ServiceMetrics(options.metrics);
+    this.tracing = options.tracing ?? null;
+
+    this.healthCheck = handler.onHealth || options.health
+      ? { ...HEALTH_DEFAULTS, ...options.health }
+      : null;
+    this.health = { status: 'healthy', failures: 0, checkedAt: null, error: null };
+  }
+
+  /**
+   * Add a Koa-style (ctx, next) middleware around message delivery
+   * ctx is { service, id, message, signal, priority, enqueuedAt, startedAt,
+   * state, response }; set ctx.message before next() to transform the
+   * message, read or replace ctx.response after it, or skip next() to answer
+   * without the handler.
+   * @param {Function} middleware
+   * @returns {ServiceWorker} this
+   */
+  use(middleware) {
+    this.middleware.push(checkMiddleware(middleware));
+    return this;
   }
 
   /**
@@ -34,11 +202,23 @@ export class ServiceWorker extends EventEmitter {
     this.emit('starting', { name: this.name });
 
     try {
+      if (this.persistence) {
+        await this._restore();
+      }
+      if (this.config !== undefined) {
+        this.context.config = structuredClone(this.config);
+      }
       if (this.handler.onStart) {
         await this.handler.onStart(this.context);
       }
+      if (this.journal) {
+        await this._replayJournal();
+      }
 
       this.state = 'running';
+      this.health = { status: 'healthy', failures: 0, checkedAt: null, error: null };
+      this.metrics.started();
+      this._scheduleSnapshots();
       this.emit('started', { name: this.name });
       
       return true;
@@ -51,19 +231,47 @@ export class ServiceWorker extends EventEmitter {
 
   /**
    * Stop the service worker daemon
+   * New sends are refused at once. Messages already accepted are either
+   * handled first ('drain') or failed ('reject'): queued ones with
+   * ServiceStoppedError, running ones with MessageInterruptedError after
+   * their signal aborts. onStop runs once no handler is left running, or
+   * once the grace period is over for handlers that ignore their signal.
+   * @param {Object} [options]
+   * @param {string} [options.mode='reject'] - 'drain' or 'reject'
+   * @param {number} [options.timeout] - In drain mode, reject whatever is left
+   *   after this many ms
+   * @param {number} [options.grace=5000] - Milliseconds to wait for aborted
+   *   handlers to return before onStop runs anyway
    */
-  async stop() {
+  async stop(options = {}) {
+    const { mode = 'reject', timeout, grace = STOP_GRACE } = options;
+    if (!STOP_MODES.includes(mode)) {
+      throw new Error(`Unknown stop mode: ${mode}`);
+    }
     if (this.state === 'stopped') {
       return true;
     }
 
     this.state = 'stopping';
     this.emit('stopping', { name: this.name });
+    clearInterval(this.snapshotTimer);
+    this.snapshotTimer = null;
+
+    if (mode === 'drain') {
+      await this._drain(timeout);
+    }
+    this._rejectPending();
+    // Handlers see their signal abort, but onStop must not pull resources out
+    // from under them; a handler that ignores the signal is not waited for forever
+    await this._waitFor(() => this.inFlight === 0, grace);
 
     try {
       if (this.handler.onStop) {
         await this.handler.onStop(this.context);
       }
+      if (this.persistence) {
+        await this.snapshot();
+      }
 
       this.state = 'stopped';
       this.emit('stopped', { name: this.name });
@@ -76,6 +284,279 @@ export class ServiceWorker extends EventEmitter {
     }
   }
 
+  /**
+   * Send a message and iterate over a streamed response
+   * The handler returns an async iterable (typically an async generator);
+   * chunks are pulled one at a time as the consumer asks for them, and
+   * leaving the loop early closes the handler's generator. A plain response
+   * is yielded as a single chunk.
+   * @param {*} message
+   * @param {Object} [options] - As for send(), plus:
+   * @param {boolean} [options.holdMailbox=true] - Keep the message's mailbox slot
+   *   until the stream is closed; false lets the next message start at once
+   * @returns {AsyncGenerator<*>}
+   */
+  async *stream(message, options = {}) {
+    const { holdMailbox = true, ...sendOptions } = options;
+    let close;
+    const stream = {
+      holdMailbox,
+      signal: null,
+      closed: new Promise((resolve) => { close = resolve; })
+    };
+
+    try {
+      const response = await this.send(message, { ...sendOptions, stream });
+      if (!isAsyncIterable(response)) {
+        yield response;
+        return;
+      }
+      for await (const chunk of response) {
+        // Stopping the service ends open streams
+        stream.signal.throwIfAborted();
+        yield chunk;
+      }
+    } finally {
+      close();
+    }
+  }
+
+  /**
+   * Swap in a new handler without losing the context or queued messages
+   * Intake pauses until in-flight messages finish, then the new handler's
+   * optional migrate(oldContext) returns the context it expects, or changes
+   * the shallow copy it is given. If migrate throws, the old handler and
+   * the old context object stay in place.
+   * @param {Object} handler - { onStart, onMessage, onStop, migrate }
+   */
+  async reload(handler) {
+    if (handler.module || this.handler instanceof IsolatedHandler) {
+      throw new Error(`ServiceWorker ${this.name} is isolated; restart it to load new code`);
+    }
+    if (this.paused) {
+      throw new Error(`ServiceWorker ${this.name} is already reloading`);
+    }
+
+    const contract = handler.contract ? new Contract(handler.contract) : null;
+    const subscriptions = (handler.subscriptions ?? []).map(parsePattern);
+    this.paused = true;
+    try {
+      await this._until(() => this.inFlight === 0);
+      let context = this.context;
+      if (handler.migrate) {
+        // A shallow copy: live resources (timers, sockets) carry over as they are,
+        // while top-level fields a failed migration reassigned are left behind
+        const draft = { ...this.context };
+        context = (await handler.migrate(draft)) ?? draft;
+      }
+      this.handler = handler;
+      this.contract = contract;
+      this.subscriptions = subscriptions;
+      this.context = context;
+      this.emit('reloaded', { name: this.name });
+      return true;
+    } finally {
+      this.paused = false;
+      this._processMessages();
+    }
+  }
+
+  /**
+   * Resolves once condition() holds, checked whenever a message settles
+   * @private
+   */
+  _until(condition) {
+    if (condition()) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.waiters.push({ condition, resolve }));
+  }
+
+  /**
+   * @private
+   */
+  _checkWaiters() {
+    this.waiters = this.waiters.filter(({ condition, resolve }) => {
+      if (!condition()) return true;
+      resolve();
+      return false;
+    });
+  }
+
+  /**
+   * Wait until the queue is empty and nothing is in flight
+   * @private
+   */
+  async _drain(timeout) {
+    if (!this.handler.onMessage) {
+      return;
+    }
+    const drained = () =>
+      this.inFlight === 0 && this.messageQueue.length === 0 && this.blockedSenders.length === 0;
+    await this._waitFor(drained, timeout);
+  }
+
+  /**
+   * Like _until(), but gives up after timeout ms (none when undefined)
+   * @private
+   * @returns {Promise<boolean>} Whether the condition was reached
+   */
+  async _waitFor(condition, timeout) {
+    const reached = this._until(condition).then(() => true);
+    if (timeout === undefined) {
+      return reached;
+    }
+
+    let timer;
+    const expired = new Promise((resolve) => { timer = setTimeout(() => resolve(false), timeout); });
+    const result = await Promise.race([reached, expired]);
+    clearTimeout(timer);
+    return result;
+  }
+
+  /**
+   * Fail every accepted message that has not been answered yet
+   * @private
+   */
+  _rejectPending() {
+    const pending = [...this.messageQueue.clear(), ...this.blockedSenders.splice(0)];
+    const running = [...this.active];
+    if (pending.length === 0 && running.length === 0) {
+      return;
+    }
+    const stopped = new ServiceStoppedError(this.name);
+    for (const item of pending) {
+      item.cancel(stopped);
+    }
+    const interrupted = new MessageInterruptedError(this.name);
+    for (const item of running) {
+      item.cancel(interrupted);
+    }
+    this._checkWatermarks();
+  }
+
+  /**
+   * Save the context to the persistence store now
+   */
+  async snapshot() {
+    if (!this.persistence) {
+      throw new Error(`ServiceWorker ${this.name} has no persistence store`);
+    }
+    const { store, serialize } = this.persistence;
+    const snapshot = this.journal
+      ? { journalSeq: this.appliedSeq, context: serialize(this.context) }
+      : serialize(this.context);
+    await store.save(this.name, snapshot);
+    this.emit('snapshot', { name: this.name });
+  }
+
+  /**
+   * Snapshot the context, then drop the journal entries it already reflects
+   */
+  async compactJournal() {
+    if (!this.journal || !this.persistence) {
+      throw new Error(`ServiceWorker ${this.name} needs a journal and a persistence store to compact`);
+    }
+    const seq = this.appliedSeq;
+    await this.snapshot();
+    await this.journal.store.compact(this.name, seq);
+  }
+
+  /**
+   * Re-run journal entries against a scratch context, for debugging
+   * onStart runs first on the scratch context; the live context is untouched.
+   * @param {number} [from=1] - First journal seq
+   * @param {number} [to=Infinity] - Last journal seq
+   * @returns {Promise<{context: Object, entries: Object[]}>} The resulting context and
+   *   every entry with its response or error
+   */
+  async replay(from = 1, to = Infinity) {
+    if (!this.journal) {
+      throw new Error(`ServiceWorker ${this.name} has no journal`);
+    }
+    if (this.handler instanceof IsolatedHandler) {
+      throw new Error(`ServiceWorker ${this.name} is isolated; its context cannot be replayed locally`);
+    }
+
+    const context = {};
+    if (this.handler.onStart) {
+      await this.handler.onStart(context);
+    }
+    const entries = [];
+    for (const entry of await this.journal.store.read(this.name, { from, to })) {
+      try {
+        entries.push({ ...entry, response: await this._replayEntry(entry, context) });
+      } catch (error) {
+        entries.push({ ...entry, error });
+      }
+    }
+    return { context, entries };
+  }
+
+  /**
+   * Load the last snapshot into the context before onStart
+   * @private
+   */
+  async _restore() {
+    const { store, deserialize } = this.persistence;
+    const snapshot = await store.load(this.name);
+    if (snapshot === undefined) {
+      return;
+    }
+    if (!this.journal) {
+      this.context = deserialize(snapshot);
+    } else if (this.journal.fromSnapshot) {
+      this.context = deserialize(snapshot.context);
+      this.appliedSeq = snapshot.journalSeq;
+    }
+  }
+
+  /**
+   * Bring the context up to date with journal entries it does not reflect yet
+   * @private
+   */
+  async _replayJournal() {
+    const entries = await this.journal.store.read(this.name, { from: this.appliedSeq + 1 });
+    for (const entry of entries) {
+      try {
+        await this._replayEntry(entry, this.context);
+      } catch {
+        // The message failed the first time round as well
+      }
+      this.appliedSeq = entry.seq;
+    }
+    this.journalSeq = Math.max(this.journalSeq, this.appliedSeq);
+    if (entries.length > 0) {
+      this.emit('replayed', { name: this.name, count: entries.length, seq: this.appliedSeq });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _replayEntry(entry, context) {
+    const meta = { id: entry.id, signal: new AbortController().signal, replay: true };
+    if (entry.topic !== undefined) {
+      meta.topic = entry.topic;
+    }
+    return this.handler.onMessage(entry.message, context, meta);
+  }
+
+  /**
+   * @private
+   */
+  _scheduleSnapshots() {
+    const interval = this.persistence?.interval;
+    if (!interval) {
+      return;
+    }
+    this.snapshotTimer = setInterval(() => {
+      this.snapshot().catch((error) => {
+        this.emit('snapshot:error', { name: this.name, error });
+      });
+    }, interval);
+  }
+
   /**
    * Restart the service worker daemon
    */
@@ -88,22 +569,115 @@ export class ServiceWorker extends EventEmitter {
   /**
    * Send a message to the service worker
    * Returns a promise that resolves with the response
+   * @param {*} message - The message to send
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Reject with MessageTimeoutError after this many ms
+   * @param {AbortSignal} [options.signal] - Reject with MessageAbortError when aborted
+   * @param {number} [options.priority=0] - Higher priorities are handled first
+   * @param {string} [options.topic] - Set by publish(); the message is an event
+   *   and skips the contract
+   * @param {Object[]} [options.callChain] - Set by meta.call(); the calls waiting
+   *   on this message, outermost first
+   * @param {Object} [options.stream] - Set by stream(); holds the mailbox slot
+   *   until the consumer is done with a streamed response
+   * @param {Object} [options.trace] - { traceId, spanId } of the parent span;
+   *   set by meta.call(), otherwise the message starts a new trace
+   * @returns {Promise<*>} The response
    */
-  async send(message) {
+  async send(message, options = {}) {
     if (this.state !== 'running') {
       throw new Error(`ServiceWorker ${this.name} is not running (state: ${this.state})`);
     }
 
+    const { timeout, signal, priority = 0, topic, callChain = [], stream, trace } = options;
+    if (typeof priority !== 'number' || Number.isNaN(priority)) {
+      throw new TypeError(`Message priority must be a number (got ${priority})`);
+    }
+    if (signal?.aborted) {
+      throw new MessageAbortError(this.name, signal.reason);
+    }
+    let operation;
+    if (this.contract && topic === undefined) {
+      const checked = this.contract.checkRequest(message);
+      if (checked.errors.length > 0) {
+        throw new MessageValidationError(this.name, checked.operation, checked.errors);
+      }
+      operation = checked.operation;
+    }
+
     return new Promise((resolve, reject) => {
       const messageId = randomUUID();
-      
-      this.messageQueue.push({
+      // Aborted when the caller gives up, so cooperative handlers can stop early
+      const controller = new AbortController();
+      if (stream) {
+        stream.signal = controller.signal;
+      }
+
+      const item = {
         id: messageId,
         message,
-        resolve,
-        reject,
-        timestamp: Date.now()
-      });
+        key: this.partitionKey ? this.partitionKey(message) : undefined,
+        priority,
+        operation,
+        topic,
+        callChain,
+        stream,
+        trace: {
+          traceId: trace?.traceId ?? newTraceId(),
+          parentSpanId: trace?.spanId ?? null,
+          spanId: newSpanId()
+        },
+        signal: controller.signal,
+        settled: false,
+        resolve: (value) => settle() && resolve(value),
+        reject: (error) => {
+          if (!settle()) return;
+          if (item.began === undefined) {
+            // Never reached a handler: the queue span ends with the error
+            this._span(item, 'queue', item.queuedAt, performance.now(), error);
+          }
+          reject(error);
+        },
+        timestamp: Date.now(),
+        queuedAt: performance.now()
+      };
+      this.metrics.received++;
+
+      const settle = () => {
+        if (item.settled) return false;
+        item.settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        return true;
+      };
+
+      const cancel = (error) => {
+        // Messages that have not started yet are dropped from the queue
+        if (this.messageQueue.remove(item)) {
+          this._dequeued();
+        }
+        const blocked = this.blockedSenders.indexOf(item);
+        if (blocked !== -1) {
+          this.blockedSenders.splice(blocked, 1);
+        }
+        item.reject(error);
+        controller.abort(error);
+        this._checkWaiters();
+      };
+
+      item.cancel = cancel;
+      const onAbort = () => cancel(new MessageAbortError(this.name, signal.reason));
+      const timer = timeout === undefined
+        ? null
+        : setTimeout(() => cancel(new MessageTimeoutError(this.name, timeout)), timeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      if (this.messageQueue.length >= this.mailbox.capacity && !this._overflow(item)) {
+        return;
+      }
+
+      this.messageQueue.push(item);
+      this._checkWatermarks();
       
       // Trigger immediate processing
       this._processMessages();
@@ -111,33 +685,299 @@ export class ServiceWorker extends EventEmitter {
   }
 
   /**
-   * Process queued messages
+   * Apply the overflow policy to a message arriving at a full mailbox
+   * @private
+   * @returns {boolean} Whether the message should still be queued
+   */
+  _overflow(item) {
+    const { capacity, overflow } = this.mailbox;
+    switch (overflow) {
+      case 'drop-oldest': {
+        const oldest = this.messageQueue.oldest();
+        this.messageQueue.remove(oldest);
+        this.dropped++;
+        oldest.reject(new MessageDroppedError(this.name, overflow));
+        return true;
+      }
+      case 'drop-newest':
+        this.dropped++;
+        item.reject(new MessageDroppedError(this.name, overflow));
+        return false;
+      case 'block-until-space':
+        // Admitted by _dequeued() once a slot frees up
+        this.blockedSenders.push(item);
+        return false;
+      default:
+        item.reject(new MailboxFullError(this.name, capacity));
+        return false;
+    }
+  }
+
+  /**
+   * Called whenever a message leaves the queue
+   * @private
+   */
+  _dequeued() {
+    while (this.blockedSenders.length > 0 && this.messageQueue.length < this.mailbox.capacity) {
+      this.messageQueue.push(this.blockedSenders.shift());
+    }
+    this._checkWatermarks();
+  }
+
+  /**
+   * Emit queue:high / queue:low when the queue crosses its watermarks
    * @private
    */
-  async _processMessages() {
-    if (this.processing || this.messageQueue.length === 0 || !this.handler.onMessage) {
+  _checkWatermarks() {
+    const length = this.messageQueue.length;
+    const { highWatermark, lowWatermark, capacity } = this.mailbox;
+
+    if (!this.aboveHighWatermark && length >= highWatermark) {
+      this.aboveHighWatermark = true;
+      this.emit('queue:high', { name: this.name, queueLength: length, capacity });
+    } else if (this.aboveHighWatermark && length <= lowWatermark) {
+      this.aboveHighWatermark = false;
+      this.emit('queue:low', { name: this.name, queueLength: length, capacity });
+    }
+  }
+
+  /**
+   * Start queued messages while there is spare concurrency
+   * The queue only hands out messages whose partition key is idle, so keyed
+   * messages keep their order.
+   * @private
+   */
+  _processMessages() {
+    if (!this.handler.onMessage || this.paused) {
       return;
     }
 
+    while (this.inFlight < this.concurrency) {
+      const item = this.messageQueue.shift();
+      if (!item) {
+        break;
+      }
+      this._dequeued();
+      this._run(item);
+    }
+  }
+
+  /**
+   * Run one message through the handler
+   * @private
+   */
+  async _run(item) {
+    this.inFlight++;
     this.processing = true;
+    this.active.add(item);
 
-    try {
-      // Process all queued messages
-      while (this.messageQueue.length > 0) {
-        const item = this.messageQueue.shift();
-        
-        try {
-          const response = await this.handler.onMessage(item.message, this.context);
-          item.resolve(response);
-        } catch (error) {
-          item.reject(error);
+    const ctx = {
+      service: this.name,
+      id: item.id,
+      message: item.message,
+      signal: item.signal,
+      priority: item.priority,
+      topic: item.topic,
+      caller: item.callChain.at(-1)?.service ?? null,
+      trace: { traceId: item.trace.traceId, spanId: item.trace.spanId },
+      enqueuedAt: item.timestamp,
+      startedAt: Date.now(),
+      state: {},
+      response: undefined
+    };
+    const began = item.began = performance.now();
+    this._span(item, 'queue', item.queuedAt, began);
+    let handled = false;
+    const deliver = async (ctx) => {
+      if (this.journal) {
+        // Journaled before it is handled, so a crash mid-handler replays it
+        const seq = ++this.journalSeq;
+        await this.journal.store.append(this.name, {
+          seq,
+          id: item.id,
+          time: Date.now(),
+          topic: item.topic,
+          message: ctx.message
+        });
+        item.seq = seq;
+      }
+      const meta = { id: item.id, signal: item.signal, trace: ctx.trace };
+      if (item.topic !== undefined) {
+        meta.topic = item.topic;
+      }
+      if (ctx.caller !== null) {
+        meta.caller = ctx.caller;
+      }
+      if (this.registry) {
+        const chain = [...item.callChain, { service: this.name, key: item.key }];
+        meta.call = (name, message, options) => this._call(chain, name, message, options, item.signal, ctx.trace);
+      }
+      ctx.response = await this.handler.onMessage(ctx.message, this.context, meta);
+      if (this.contract && item.operation !== undefined && !isAsyncIterable(ctx.response)) {
+        const errors = this.contract.checkResponse(item.operation, ctx.response);
+        if (errors.length > 0) {
+          throw new MessageValidationError(this.name, item.operation, errors, 'response');
         }
       }
+    };
+
+    try {
+      const middleware = [...(this.registry?.middleware ?? []), ...this.middleware];
+      if (middleware.length > 0) {
+        await compose(middleware, deliver)(ctx);
+      } else {
+        await deliver(ctx);
+      }
+      handled = true;
+      this.metrics.handled(true, began - item.queuedAt, performance.now() - began);
+      this._span(item, 'handler', began, performance.now());
+      item.resolve(ctx.response);
+      if (item.stream?.holdMailbox && isAsyncIterable(ctx.response)) {
+        // The slot stays taken until the consumer finishes or gives up,
+        // or the service stops under it
+        await Promise.race([item.stream.closed, aborted(item.signal)]);
+      }
+    } catch (error) {
+      if (!handled) {
+        this.metrics.handled(false, began - item.queuedAt, performance.now() - began);
+        this._span(item, 'handler', began, performance.now(), error);
+      }
+      item.reject(error);
     } finally {
-      this.processing = false;
+      if (item.seq > this.appliedSeq) {
+        this.appliedSeq = item.seq;
+      }
+      this.inFlight--;
+      this.processing = this.inFlight > 0;
+      this.active.delete(item);
+      this.messageQueue.release(item);
+      this._processMessages();
+      this._checkWaiters();
+    }
+  }
+
+  /**
+   * Send to another service on behalf of the message being handled
+   * Fails fast when the target could only run the call after one of the
+   * calls already waiting in the chain returns: every slot it has is taken
+   * by the chain, or the chain holds the call's partition key.
+   * @private
+   */
+  _call(chain, name, message, options = {}, signal, trace) {
+    const target = this.registry.get(name);
+    if (!target) {
+      return Promise.reject(new Error(`Service ${name} is not registered`));
+    }
+
+    const waiting = chain.filter((link) => link.service === name);
+    if (waiting.length > 0) {
+      const key = target.partitionKey ? target.partitionKey(message) : undefined;
+      if (waiting.length >= target.concurrency || (key != null && waiting.some((link) => link.key === key))) {
+        const path = [...chain.map((link) => link.service), name];
+        return Promise.reject(new CallCycleError(name, path));
+      }
+    }
+
+    // A cancelled caller cancels its nested calls too
+    return target.send(message, { signal, trace, ...options, callChain: chain });
+  }
+
+  /**
+   * Export a finished queue or handler span, if anything collects them
+   * @private
+   */
+  _span(item, kind, start, end, error = null) {
+    const exporter = this.tracing?.exporter ?? this.registry?.tracing?.exporter;
+    if (!exporter) {
+      return;
+    }
+    const attributes = { 'eiasw.service': this.name, 'eiasw.message_id': item.id };
+    if (item.topic !== undefined) {
+      attributes['eiasw.topic'] = item.topic;
+    }
+    if (item.operation !== undefined) {
+      attributes['eiasw.operation'] = item.operation;
+    }
+    const span = {
+      traceId: item.trace.traceId,
+      spanId: kind === 'handler' ? item.trace.spanId : newSpanId(),
+      parentSpanId: item.trace.parentSpanId,
+      name: `${this.name} ${kind === 'handler' ? 'handle' : 'queue'}`,
+      kind,
+      service: this.name,
+      messageId: item.id,
+      startTime: performance.timeOrigin + start,
+      endTime: performance.timeOrigin + end,
+      error: error ? { name: error.name ?? 'Error', message: error.message ?? String(error) } : null,
+      attributes
+    };
+    // Exporter failures never reach the message
+    Promise.resolve()
+      .then(() => exporter.export([span]))
+      .catch((exportError) => this.emit('trace:error', { name: this.name, error: exportError }));
+  }
+
+  /**
+   * An isolated handler's thread or process died under a running service
+   * @private
+   */
+  _crashed(error) {
+    if (this.state !== 'running') {
+      return;
+    }
+    this.state = 'error';
+    // A crash arrives outside any caller, so without a listener it is only recorded
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', { name: this.name, error });
     }
   }
 
+  /**
+   * Probe the service once and update its health
+   * A probe fails when the service is not running, or onHealth throws,
+   * returns false or outlives the timeout; returning 'degraded' reports
+   * trouble without counting as a failure. Failures make the service
+   * 'degraded' until threshold of them in a row make it 'unhealthy',
+   * which emits 'unhealthy'. One success makes it 'healthy' again.
+   * @returns {Promise<{status: string, failures: number, checkedAt: number, error: Error|null}>}
+   */
+  async checkHealth() {
+    const { timeout, threshold } = this.healthCheck ?? HEALTH_DEFAULTS;
+    let result;
+    let error = null;
+    let timer;
+    try {
+      if (this.state !== 'running') {
+        throw new Error(`Service ${this.name} is ${this.state}`);
+      }
+      const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeout}ms`)), timeout);
+      });
+      result = await Promise.race([this.handler.onHealth?.(this.context), deadline]);
+      if (result === false) {
+        throw new Error(`Service ${this.name} reported itself unhealthy`);
+      }
+    } catch (caught) {
+      error = caught;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const previous = this.health.status;
+    const failures = error ? this.health.failures + 1 : 0;
+    let status = 'healthy';
+    if (failures >= threshold) {
+      status = 'unhealthy';
+    } else if (error || result === 'degraded') {
+      status = 'degraded';
+    }
+    this.health = { status, failures, checkedAt: Date.now(), error };
+    if (status === 'unhealthy' && previous !== 'unhealthy') {
+      this.emit('unhealthy', { name: this.name, failures, error });
+    }
+    return { ...this.health };
+  }
+
   /**
    * Get current state of the service worker
    */
@@ -145,7 +985,15 @@ export class ServiceWorker extends EventEmitter {
     return {
       name: this.name,
       state: this.state,
+      dependsOn: [...this.dependsOn],
       queueLength: this.messageQueue.length,
+      inFlight: this.inFlight,
+      concurrency: this.concurrency,
+      capacity: this.mailbox.capacity,
+      blocked: this.blockedSenders.length,
+      dropped: this.dropped,
+      isolation: this.handler.isolation ?? null,
+      health: this.healthCheck ? { ...this.health } : null,
       context: { ...this.context }
     };
   }
@@ -156,20 +1004,79 @@ export class ServiceWorker extends EventEmitter {
  * Acts as the "file server" coordinator
  */
 export class ServiceRegistry extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.tracing]
+   * @param {Object} [options.tracing.exporter] - Receives the spans of every
+   *   service without an exporter of its own
+   * @param {Object} [options.clock] - { now, setTimeout, clearTimeout } used by
+   *   schedule(); a ManualClock in tests
+   */
+  constructor(options = {}) {
     super();
     this.services = new Map();
+    this.middleware = [];
+    this.tracing = options.tracing ?? null;
+    this.healthWatches = new Map();
+    this.clock = options.clock ?? systemClock;
+    this.schedules = new Map();
+  }
+
+  /**
+   * Build a registry from a JSON or YAML manifest
+   * Imports each service's module, registers its handler with its options
+   * and dependencies, and hands its config to onStart as context.config.
+   * Nothing is started. Invalid entries throw ManifestError naming the entry.
+   * @param {string} path - Manifest file; .yaml and .yml are read as YAML
+   * @param {Object} [options] - ServiceRegistry constructor options
+   * @returns {Promise<ServiceRegistry>}
+   */
+  static async fromManifest(path, options = {}) {
+    const registry = new ServiceRegistry(options);
+    for (const service of await loadManifest(path)) {
+      try {
+        registry.register(service.name, service.handler, service.options);
+      } catch (error) {
+        throw new ManifestError(path, `services.${service.name}`, error.message, service.name, error);
+      }
+    }
+    return registry;
+  }
+
+  /**
+   * Add a Koa-style (ctx, next) middleware around delivery to every service
+   * Registry middleware runs outside each worker's own middleware, whether
+   * messages arrive through registry.send() or worker.send().
+   * @param {Function} middleware
+   * @returns {ServiceRegistry} this
+   */
+  use(middleware) {
+    this.middleware.push(checkMiddleware(middleware));
+    return this;
   }
 
   /**
    * Register a new service worker
+   * @param {string} name - Service name
+   * @param {Object} handler - { onStart, onMessage, onStop }
+   * @param {Object} [options]
+   * @param {string[]} [options.dependsOn] - Services that must run before this one
    */
-  register(name, handler) {
+  register(name, handler, options = {}) {
     if (this.services.has(name)) {
       throw new Error(`Service ${name} is already registered`);
     }
 
-    const worker = new ServiceWorker(name, handler);
+    const worker = new ServiceWorker(name, handler, options);
+    worker.registry = this;
+
+    // Reject a registration that would close a dependency cycle
+    this.services.set(name, worker);
+    try {
+      this._dependencyLevels([name], { allowMissing: true });
+    } finally {
+      this.services.delete(name);
+    }
     
     // Forward events
     worker.on('starting', (e) => this.emit('service:starting', e));
@@ -177,6 +1084,18 @@ export class ServiceRegistry extends EventEmitter {
     worker.on('stopping', (e) => this.emit('service:stopping', e));
     worker.on('stopped', (e) => this.emit('service:stopped', e));
     worker.on('error', (e) => this.emit('service:error', e));
+    worker.on('queue:high', (e) => this.emit('service:queue-high', e));
+    worker.on('queue:low', (e) => this.emit('service:queue-low', e));
+    worker.on('snapshot:error', (e) => this.emit('service:snapshot-error', e));
+    worker.on('trace:error', (e) => this.emit('service:trace-error', e));
+    worker.on('reloaded', (e) => this.emit('service:reloaded', e));
+    worker.on('unhealthy', (e) => this.emit('service:unhealthy', e));
+
+    if (worker.healthCheck) {
+      worker.on('started', () => this._watchHealth(worker));
+      worker.on('stopping', () => this._unwatchHealth(name));
+    }
+    worker.on('stopping', () => this._cancelSchedules(name));
 
     this.services.set(name, worker);
     this.emit('registered', { name });
@@ -212,61 +1131,298 @@ export class ServiceRegistry extends EventEmitter {
 
   /**
    * Start a service by name
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.withDependencies=false] - Start its transitive
+   *   dependencies first
    */
-  async start(name) {
+  async start(name, options = {}) {
     const worker = this.services.get(name);
     if (!worker) {
       throw new Error(`Service ${name} is not registered`);
     }
-    return worker.start();
+    if (!options.withDependencies) {
+      return worker.start();
+    }
+
+    const levels = this._dependencyLevels([name]);
+    for (const level of levels) {
+      await Promise.all(level
+        .map((dep) => this.services.get(dep))
+        .filter((w) => w.state !== 'running')
+        .map((w) => w.start()));
+    }
+    return true;
   }
 
   /**
    * Stop a service by name
+   * @param {string} name
+   * @param {Object} [options] - { mode, timeout, grace }, as for ServiceWorker.stop()
    */
-  async stop(name) {
+  async stop(name, options) {
     const worker = this.services.get(name);
     if (!worker) {
       throw new Error(`Service ${name} is not registered`);
     }
-    return worker.stop();
+    return worker.stop(options);
   }
 
   /**
    * Send a message to a service
+   * @param {string} name
+   * @param {*} message
+   * @param {Object} [options] - { timeout, signal, priority }, as for ServiceWorker.send()
    */
-  async send(name, message) {
+  async send(name, message, options) {
     const worker = this.services.get(name);
     if (!worker) {
       throw new Error(`Service ${name} is not registered`);
     }
-    return worker.send(message);
+    return worker.send(message, options);
+  }
+
+  /**
+   * Publish an event to every running service subscribed to the topic
+   * Each subscriber gets the payload through its own mailbox, in order with
+   * its other messages, as onMessage(payload, context, { topic, ... }).
+   * @param {string} topic - Dot-separated, e.g. 'file.written'
+   * @param {*} payload
+   * @param {Object} [options] - { timeout, priority }, as for ServiceWorker.send()
+   * @returns {Promise<Object[]>} One { service, status, value | reason } per
+   *   subscriber, settled like Promise.allSettled()
+   */
+  async publish(topic, payload, options = {}) {
+    const segments = parseTopic(topic);
+    const subscribers = [...this.services.values()].filter((worker) =>
+      worker.state === 'running' &&
+      worker.subscriptions.some((pattern) => matchTopic(pattern, segments))
+    );
+    this.emit('published', { topic, subscribers: subscribers.map((worker) => worker.name) });
+
+    const results = await Promise.allSettled(
+      subscribers.map((worker) => worker.send(payload, { ...options, topic }))
+    );
+    return results.map((result, index) => ({ service: subscribers[index].name, ...result }));
+  }
+
+  /**
+   * Send a message to a service and iterate over its streamed response
+   * @param {string} name
+   * @param {*} message
+   * @param {Object} [options] - As for ServiceWorker.stream()
+   * @returns {AsyncGenerator<*>}
+   */
+  async *stream(name, message, options) {
+    const worker = this.services.get(name);
+    if (!worker) {
+      throw new Error(`Service ${name} is not registered`);
+    }
+    yield* worker.stream(message, options);
+  }
+
+  /**
+   * Hot-swap a service's handler, keeping its context and queued messages
+   * @param {string} name
+   * @param {Object} handler - New handler, optionally with migrate(oldContext)
+   */
+  async reload(name, handler) {
+    const worker = this.services.get(name);
+    if (!worker) {
+      throw new Error(`Service ${name} is not registered`);
+    }
+    return worker.reload(handler);
+  }
+
+  /**
+   * Send a message to a service on a timer
+   * Deliveries go through the service's mailbox like any send; failures are
+   * emitted as 'schedule:error'. Stopping the service cancels its schedules.
+   * @param {string} name - A starting or running service
+   * @param {*} message
+   * @param {Object} options - Exactly one of every, cron or at, plus send options
+   * @param {number} [options.every] - Milliseconds between deliveries
+   * @param {string} [options.cron] - Five-field cron expression, in local time
+   * @param {Date|number} [options.at] - Deliver once at this time
+   * @returns {Schedule} With cancel(), next (ms since the epoch) and runs
+   */
+  schedule(name, message, options = {}) {
+    const worker = this.services.get(name);
+    if (!worker) {
+      throw new Error(`Service ${name} is not registered`);
+    }
+    if (worker.state !== 'running' && worker.state !== 'starting') {
+      throw new Error(`Service ${name} is not running`);
+    }
+
+    const { every, cron, at, ...sendOptions } = options;
+    const schedule = new Schedule(() => {
+      worker.send(message, sendOptions).catch((error) => {
+        this.emit('schedule:error', { name, message, error });
+      });
+    }, { every, cron, at }, this.clock);
+
+    const schedules = this.schedules.get(name) ?? new Set();
+    for (const done of schedules) {
+      if (!done.active) schedules.delete(done);
+    }
+    schedules.add(schedule);
+    this.schedules.set(name, schedules);
+    return schedule;
+  }
+
+  /**
+   * @private
+   */
+  _cancelSchedules(name) {
+    for (const schedule of this.schedules.get(name) ?? []) {
+      schedule.cancel();
+    }
+    this.schedules.delete(name);
+  }
+
+  /**
+   * Probe a service's health now instead of waiting for the next interval
+   * Usable as a readiness check even for services that are not probed.
+   * @param {string} name
+   * @returns {Promise<Object>} { status, failures, checkedAt, error }
+   */
+  async checkHealth(name) {
+    const worker = this.services.get(name);
+    if (!worker) {
+      throw new Error(`Service ${name} is not registered`);
+    }
+    return worker.checkHealth();
+  }
+
+  /**
+   * Probe a running service every interval, one probe at a time
+   * @private
+   */
+  _watchHealth(worker) {
+    this._unwatchHealth(worker.name);
+    const watch = { timer: null };
+    const probe = async () => {
+      await worker.checkHealth();
+      if (this.healthWatches.get(worker.name) === watch) {
+        watch.timer = setTimeout(probe, worker.healthCheck.interval);
+      }
+    };
+    watch.timer = setTimeout(probe, worker.healthCheck.interval);
+    this.healthWatches.set(worker.name, watch);
+  }
+
+  /**
+   * @private
+   */
+  _unwatchHealth(name) {
+    const watch = this.healthWatches.get(name);
+    if (watch) {
+      clearTimeout(watch.timer);
+      this.healthWatches.delete(name);
+    }
+  }
+
+  /**
+   * Describe a service's declared operations
+   * @param {string} name
+   * @returns {{name: string, contract: Object|null}} contract is { field, operations }
+   *   with each operation's description and request/response schemas
+   */
+  describe(name) {
+    const worker = this.services.get(name);
+    if (!worker) {
+      throw new Error(`Service ${name} is not registered`);
+    }
+    return { name, contract: worker.contract?.describe() ?? null };
   }
 
   /**
    * Start all registered services
+   * Services start in dependency order; those whose dependencies are all
+   * running start in parallel.
    */
   async startAll() {
-    const promises = [];
-    for (const [name, worker] of this.services) {
-      if (worker.state === 'stopped') {
-        promises.push(worker.start());
+    const results = [];
+    for (const level of this._dependencyLevels(this.list())) {
+      const promises = [];
+      for (const name of level) {
+        const worker = this.services.get(name);
+        if (worker.state === 'stopped') {
+          promises.push(worker.start());
+        }
       }
+      results.push(...await Promise.all(promises));
     }
-    return Promise.all(promises);
+    return results;
   }
 
   /**
    * Stop all running services
+   * Services stop in reverse dependency order, so dependents go first.
+   * @param {Object} [options] - { mode, timeout, grace }, as for ServiceWorker.stop()
    */
-  async stopAll() {
-    const promises = [];
-    for (const [name, worker] of this.services) {
-      if (worker.state === 'running') {
-        promises.push(worker.stop());
+  async stopAll(options) {
+    const results = [];
+    // Missing dependencies must not prevent shutting down the rest
+    const levels = this._dependencyLevels(this.list(), { allowMissing: true });
+    for (const level of levels.reverse()) {
+      const promises = [];
+      for (const name of level) {
+        const worker = this.services.get(name);
+        if (worker.state === 'running') {
+          promises.push(worker.stop(options));
+        }
+      }
+      results.push(...await Promise.all(promises));
+    }
+    return results;
+  }
+
+  /**
+   * Group services and their transitive dependencies into start levels
+   * Every service comes in a later level than all of its dependencies.
+   * @private
+   * @param {string[]} names - Services to order
+   * @param {Object} [options]
+   * @param {boolean} [options.allowMissing=false] - Skip unregistered dependencies
+   * @returns {string[][]} Levels in start order
+   */
+  _dependencyLevels(names, options = {}) {
+    const depths = new Map();
+    const path = [];
+
+    const visit = (name) => {
+      if (depths.has(name)) {
+        return depths.get(name);
+      }
+      if (path.includes(name)) {
+        const cycle = [...path.slice(path.indexOf(name)), name];
+        throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+      }
+
+      path.push(name);
+      let depth = 0;
+      for (const dep of this.services.get(name).dependsOn) {
+        if (!this.services.has(dep)) {
+          if (options.allowMissing) continue;
+          throw new Error(`Service ${name} depends on ${dep}, which is not registered`);
+        }
+        depth = Math.max(depth, visit(dep) + 1);
       }
+      path.pop();
+
+      depths.set(name, depth);
+      return depth;
+    };
+
+    names.forEach(visit);
+
+    const levels = [];
+    for (const [name, depth] of depths) {
+      (levels[depth] ??= []).push(name);
     }
-    return Promise.all(promises);
+    return levels;
   }
 
   /**
@@ -276,6 +1432,15 @@ export class ServiceRegistry extends EventEmitter {
     return Array.from(this.services.keys());
   }
 
+  /**
+   * Create a file-tree view of the registered services
+   * Each call returns an independent namespace with its own open files.
+   * @returns {Namespace}
+   */
+  namespace() {
+    return new Namespace(this);
+  }
+
   /**
    * Get status of all services
    */
@@ -286,7 +1451,87 @@ export class ServiceRegistry extends EventEmitter {
     }
     return status;
   }
+
+  /**
+   * Collect every service's metrics
+   * Counters, queue-wait and handler-duration histograms (seconds), restart
+   * counts and uptime, labelled by service.
+   * @param {Object} [options]
+   * @param {string} [options.format='prometheus'] - 'prometheus' for the text
+   *   exposition format, 'json' for { services: { [name]: metrics } }
+   * @returns {string|Object}
+   */
+  metrics(options = {}) {
+    const { format = 'prometheus' } = options;
+    const services = {};
+    for (const [name, worker] of this.services) {
+      services[name] = worker.metrics.toJSON(worker.getState());
+    }
+    if (format === 'json') {
+      return { services };
+    }
+    if (format !== 'prometheus') {
+      throw new Error(`Unknown metrics format: ${format}`);
+    }
+    return renderPrometheus(services);
+  }
 }
 
+export {
+  MessageTimeoutError,
+  MessageAbortError,
+  MailboxFullError,
+  MessageDroppedError,
+  ServiceCrashError,
+  ServiceStoppedError,
+  MessageInterruptedError,
+  MessageValidationError,
+  CallCycleError,
+  ManifestError,
+  IsolatedHandler,
+  MemoryStore,
+  JsonFileStore,
+  LogStore,
+  MemoryJournal,
+  FileJournal,
+  Histogram,
+  ServiceMetrics,
+  InMemoryExporter,
+  OtlpJsonFileExporter,
+  Schedule,
+  ManualClock,
+  Namespace,
+  NinePServer,
+  Supervisor
+};
+
 // Default export
-export default { ServiceWorker, ServiceRegistry };
+export default {
+  ServiceWorker,
+  ServiceRegistry,
+  Namespace,
+  NinePServer,
+  Supervisor,
+  MessageTimeoutError,
+  MessageAbortError,
+  MailboxFullError,
+  MessageDroppedError,
+  ServiceCrashError,
+  ServiceStoppedError,
+  MessageInterruptedError,
+  MessageValidationError,
+  CallCycleError,
+  ManifestError,
+  IsolatedHandler,
+  MemoryStore,
+  JsonFileStore,
+  LogStore,
+  MemoryJournal,
+  FileJournal,
+  Histogram,
+  ServiceMetrics,
+  InMemoryExporter,
+  OtlpJsonFileExporter,
+  Schedule,
+  ManualClock
+};
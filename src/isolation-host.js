@@ -0,0 +1,87 @@
+/**
+ * Entry point of an isolated service, run in a worker thread or forked child
+ *
+ * Loads the handler module and answers the calls an IsolatedHandler proxies
+ * over the message channel. The isolate owns the service's context; every
+ * reply carries a copy back so the registry's view stays current.
+ */
+import { parentPort } from 'worker_threads';
+import { serializeError, deserializeError } from './isolation.js';
+
+const post = parentPort
+  ? (message) => parentPort.postMessage(message)
+  : (message) => process.send(message);
+
+let handler = null;
+let context = {};
+const controllers = new Map();
+
+async function load(module, exportName) {
+  const namespace = await import(module);
+  const loaded = namespace[exportName];
+  if (!loaded || typeof loaded !== 'object') {
+    throw new Error(`Module ${module} has no handler export "${exportName}"`);
+  }
+  handler = loaded;
+}
+
+async function call(request) {
+  const { id, method, message, meta } = request;
+  if (method === 'onStart') {
+    context = request.context ?? {};
+  }
+  if (!handler[method]) {
+    return undefined;
+  }
+  if (method !== 'onMessage') {
+    return handler[method](context);
+  }
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  try {
+    return await handler.onMessage(message, context, { ...meta, signal: controller.signal });
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+function reply(id, fields) {
+  try {
+    post({ type: 'reply', id, context, ...fields });
+  } catch (error) {
+    // The value or the context could not be cloned
+    post({ type: 'reply', id, error: serializeError(error) });
+  }
+}
+
+async function onRequest(request) {
+  switch (request.type) {
+    case 'load':
+      try {
+        await load(request.module, request.export);
+        post({ type: 'reply', id: request.id });
+      } catch (error) {
+        post({ type: 'reply', id: request.id, error: serializeError(error) });
+      }
+      break;
+    case 'call':
+      try {
+        reply(request.id, { value: await call(request) });
+      } catch (error) {
+        reply(request.id, { error: serializeError(error) });
+      }
+      break;
+    case 'abort':
+      controllers.get(request.id)?.abort(deserializeError(request.reason));
+      break;
+  }
+}
+
+if (parentPort) {
+  parentPort.on('message', onRequest);
+} else {
+  process.on('message', onRequest);
+  // Do not outlive the registry that forked us
+  process.on('disconnect', () => process.exit());
+}
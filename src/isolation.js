@@ -0,0 +1,255 @@
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { fork } from 'child_process';
+import { isAbsolute, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ServiceCrashError } from './errors.js';
+
+const ISOLATIONS = ['thread', 'process'];
+const HOST = new URL('./isolation-host.js', import.meta.url);
+
+/**
+ * IsolatedHandler - Runs a handler module in a worker thread or child process
+ *
+ * Stands in for a { onStart, onMessage, onStop } handler object, so a
+ * ServiceWorker drives it like any other. onStart spawns the isolate and
+ * loads the module; every call crosses over as a structured-clone message.
+ * The isolate owns the context and sends a copy back with each reply, which
+ * is also what the next isolate starts from after a crash.
+ *
+ * An isolate that exits on its own rejects its pending calls with
+ * ServiceCrashError and emits 'crash'.
+ */
+export class IsolatedHandler extends EventEmitter {
+  /**
+   * @param {string} name - Service name, used in errors
+   * @param {Object} spec
+   * @param {string} spec.module - Path (relative to the working directory) or URL of the module
+   * @param {string} [spec.export='default'] - Export holding the handler object
+   * @param {string} [spec.isolation='thread'] - 'thread' or 'process'
+   */
+  constructor(name, spec) {
+    super();
+    this.name = name;
+    this.module = resolveModule(spec.module);
+    this.exportName = spec.export ?? 'default';
+    this.isolation = spec.isolation ?? 'thread';
+    if (!ISOLATIONS.includes(this.isolation)) {
+      throw new Error(`Unknown isolation: ${this.isolation}`);
+    }
+
+    this.host = null;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Spawn the isolate, load the module and run its onStart
+   */
+  async onStart(context) {
+    if (this.host) {
+      await this._terminate();
+    }
+    this.host = this._spawn();
+    try {
+      await this._request({ type: 'load', module: this.module, export: this.exportName });
+      await this._call('onStart', context, { context: { ...context } });
+    } catch (error) {
+      await this._terminate();
+      throw error;
+    }
+  }
+
+  async onMessage(message, context, meta) {
+    const signal = meta.signal;
+    let id;
+    const onAbort = () => this.host?.post({
+      type: 'abort',
+      id,
+      reason: serializeError(signal.reason)
+    });
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      // Signals and call() do not cross the channel
+      const { signal: _, call: __, ...fields } = meta;
+      return await this._call('onMessage', context, { message, meta: fields }, (requestId) => {
+        id = requestId;
+      });
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Run the module's onHealth; an isolate too busy to answer times out
+   */
+  async onHealth(context) {
+    return this._call('onHealth', context);
+  }
+
+  /**
+   * Run the module's onStop and shut the isolate down
+   */
+  async onStop(context) {
+    if (!this.host) {
+      return;
+    }
+    try {
+      await this._call('onStop', context);
+    } finally {
+      await this._terminate();
+    }
+  }
+
+  /**
+   * Thread id or process id of the running isolate
+   */
+  get pid() {
+    return this.host?.pid ?? null;
+  }
+
+  /**
+   * Call a handler method in the isolate and copy its context back
+   * @private
+   */
+  async _call(method, context, fields = {}, onId) {
+    const reply = await this._request({ type: 'call', method, ...fields }, onId);
+    if (reply.context) {
+      for (const key of Object.keys(context)) {
+        if (!(key in reply.context)) delete context[key];
+      }
+      Object.assign(context, reply.context);
+    }
+    return reply.value;
+  }
+
+  /**
+   * @private
+   */
+  _request(request, onId) {
+    if (!this.host) {
+      return Promise.reject(new Error(`Service ${this.name} ${this.isolation} is not running`));
+    }
+
+    const id = this.nextId++;
+    onId?.(id);
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      try {
+        this.host.post({ ...request, id });
+      } catch (error) {
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _reply(reply) {
+    const call = this.pending.get(reply.id);
+    if (!call) return;
+    this.pending.delete(reply.id);
+    if (reply.error) {
+      call.reject(deserializeError(reply.error));
+    } else {
+      call.resolve(reply);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _spawn() {
+    const host = { closing: false, failure: undefined };
+    const onExit = (code, signal) => {
+      if (this.host === host) {
+        this.host = null;
+      }
+      if (host.closing) {
+        return;
+      }
+      const error = new ServiceCrashError(this.name, this.isolation, code, signal, host.failure);
+      for (const call of this.pending.values()) {
+        call.reject(error);
+      }
+      this.pending.clear();
+      this.emit('crash', error);
+    };
+
+    if (this.isolation === 'thread') {
+      const worker = new Worker(HOST);
+      worker.on('message', (reply) => this._reply(reply));
+      worker.on('error', (error) => { host.failure = error; });
+      worker.on('exit', (code) => onExit(code, null));
+      host.pid = worker.threadId;
+      host.post = (message) => worker.postMessage(message);
+      host.exited = new Promise((resolve) => worker.once('exit', resolve));
+      host.kill = () => worker.terminate();
+    } else {
+      const child = fork(fileURLToPath(HOST), [], { serialization: 'advanced' });
+      child.on('message', (reply) => this._reply(reply));
+      child.on('error', (error) => { host.failure = error; });
+      child.on('exit', onExit);
+      host.pid = child.pid;
+      host.post = (message) => child.send(message);
+      host.exited = new Promise((resolve) => child.once('exit', resolve));
+      host.kill = () => child.kill();
+    }
+    return host;
+  }
+
+  /**
+   * @private
+   */
+  async _terminate() {
+    const host = this.host;
+    if (!host) return;
+    host.closing = true;
+    this.host = null;
+    host.kill();
+    await host.exited;
+  }
+}
+
+/**
+ * Resolve a module path against the working directory; URLs pass through
+ * @param {string} module
+ * @returns {string}
+ */
+export function resolveModule(module) {
+  if (typeof module !== 'string' || module.length === 0) {
+    throw new TypeError('Isolated handler needs a module path');
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(module) && !isAbsolute(module)) {
+    return module;
+  }
+  return pathToFileURL(resolve(module)).href;
+}
+
+/**
+ * Errors cross the channel as plain objects so `code` and friends survive
+ * @param {*} error
+ * @returns {Object}
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error) };
+  }
+  const { name, message, stack, code } = error;
+  return { name, message, stack, code };
+}
+
+/**
+ * @param {Object} data - Output of serializeError()
+ * @returns {Error}
+ */
+export function deserializeError(data) {
+  const error = new Error(data.message);
+  error.name = data.name;
+  if (data.stack) error.stack = data.stack;
+  if (data.code !== undefined) error.code = data.code;
+  return error;
+}
@@ -0,0 +1,115 @@
+import { readFile, appendFile } from 'fs/promises';
+import { writeAtomic } from './persistence.js';
+import { WriteQueue } from './util.js';
+
+/**
+ * Journals for event-sourced services
+ *
+ * A journal keeps, per service, the messages that reached its handler as
+ * { seq, id, time, message } entries with increasing seq numbers, and
+ * implements:
+ * - async append(name, entry) - durably record an entry
+ * - async read(name, { from, to }) - entries with from <= seq <= to, in order
+ * - async compact(name, seq) - drop entries up to and including seq
+ *
+ * Messages must survive JSON.stringify.
+ */
+
+/**
+ * MemoryJournal - Keeps entries for the lifetime of the process
+ */
+export class MemoryJournal {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async append(name, entry) {
+    if (!this.entries.has(name)) {
+      this.entries.set(name, []);
+    }
+    this.entries.get(name).push(JSON.stringify(entry));
+  }
+
+  async read(name, { from = 1, to = Infinity } = {}) {
+    return (this.entries.get(name) ?? [])
+      .map((json) => JSON.parse(json))
+      .filter((entry) => entry.seq >= from && entry.seq <= to);
+  }
+
+  async compact(name, seq) {
+    const kept = (await this.read(name, { from: seq + 1 })).map((entry) => JSON.stringify(entry));
+    this.entries.set(name, kept);
+  }
+}
+
+/**
+ * FileJournal - Appends entries of every service to one JSON-lines file
+ *
+ * Appends never touch earlier lines, and a torn last line from a crash
+ * mid-write is ignored. compact() rewrites the file atomically.
+ */
+export class FileJournal {
+  /**
+   * @param {string} path - File of { name, seq, id, time, message } lines
+   */
+  constructor(path) {
+    this.path = path;
+    this.queue = new WriteQueue();
+    this.checked = false;
+  }
+
+  append(name, entry) {
+    const line = JSON.stringify({ name, ...entry }) + '\n';
+    return this.queue.run(async () => {
+      if (!this.checked) {
+        // Terminate a torn line left by a crash so it does not swallow this one
+        const text = await readFile(this.path, 'utf8').catch(() => '');
+        if (text && !text.endsWith('\n')) {
+          await appendFile(this.path, '\n');
+        }
+        this.checked = true;
+      }
+      await appendFile(this.path, line);
+    });
+  }
+
+  async read(name, { from = 1, to = Infinity } = {}) {
+    await this.queue.idle();
+    return (await this._entries())
+      .filter((entry) => entry.name === name && entry.seq >= from && entry.seq <= to)
+      .map(({ name: _, ...entry }) => entry);
+  }
+
+  compact(name, seq) {
+    return this.queue.run(async () => {
+      const kept = (await this._entries())
+        .filter((entry) => entry.name !== name || entry.seq > seq)
+        .map((entry) => JSON.stringify(entry) + '\n');
+      await writeAtomic(this.path, kept.join(''));
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _entries() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Torn write
+      }
+    }
+    return entries;
+  }
+}
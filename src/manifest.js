@@ -0,0 +1,158 @@
+import { readFile } from 'fs/promises';
+import { dirname, extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { ManifestError } from './errors.js';
+import { isObject } from './util.js';
+import { parseYaml } from './yaml.js';
+
+/**
+ * Deployment manifests
+ *
+ * A manifest (JSON, or YAML for .yaml/.yml files) lists services by name:
+ *
+ *   services:
+ *     api:
+ *       module: ./services/api.js   # relative to the manifest
+ *       export: api                 # default: default
+ *       isolation: thread           # optional: run in a thread or process
+ *       dependsOn: [db]
+ *       options: { concurrency: 4 } # ServiceWorker options
+ *       config: { port: 8080 }      # onStart sees it as context.config
+ *
+ * Errors name the manifest file and the entry at fault.
+ */
+
+const ENTRY_FIELDS = ['module', 'export', 'isolation', 'dependsOn', 'options', 'config'];
+const ISOLATIONS = ['thread', 'process'];
+
+/**
+ * Read and validate a manifest, then load each service's handler
+ * @param {string} path
+ * @returns {Promise<Array<{name: string, handler: Object, options: Object}>>}
+ *   In manifest order, ready for registry.register()
+ */
+export async function loadManifest(path) {
+  const manifest = await readManifest(path);
+  const services = [];
+  for (const [name, entry] of Object.entries(manifest.services)) {
+    const module = resolve(dirname(path), entry.module);
+    const exportName = entry.export ?? 'default';
+    let handler;
+    if (entry.isolation) {
+      // Loaded inside the isolate when the service starts
+      handler = { module, export: exportName, isolation: entry.isolation };
+    } else {
+      let namespace;
+      try {
+        namespace = await import(pathToFileURL(module).href);
+      } catch (error) {
+        throw new ManifestError(path, `services.${name}.module`, `cannot load ${entry.module}: ${error.message}`, name, error);
+      }
+      handler = namespace[exportName];
+      if (!handler || typeof handler !== 'object') {
+        const field = entry.export === undefined ? 'module' : 'export';
+        throw new ManifestError(path, `services.${name}.${field}`, `${entry.module} has no handler export "${exportName}"`, name);
+      }
+    }
+    services.push({
+      name,
+      handler,
+      options: { ...entry.options, dependsOn: entry.dependsOn ?? [], config: entry.config }
+    });
+  }
+  return services;
+}
+
+/**
+ * Parse and validate a manifest without loading any modules
+ * @param {string} path
+ * @returns {Promise<Object>} { services: { [name]: entry } }
+ */
+export async function readManifest(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new ManifestError(path, null, `cannot read manifest: ${error.message}`, null, error);
+  }
+
+  let manifest;
+  const yaml = ['.yaml', '.yml'].includes(extname(path).toLowerCase());
+  try {
+    manifest = yaml ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ManifestError(path, null, `invalid ${yaml ? 'YAML' : 'JSON'}: ${error.message}`, null, error);
+  }
+
+  validate(path, manifest);
+  return manifest;
+}
+
+/**
+ * @private
+ */
+function validate(path, manifest) {
+  const fail = (entry, message, service = null) => {
+    throw new ManifestError(path, entry, message, service);
+  };
+  if (!isObject(manifest)) {
+    fail(null, 'manifest must be an object with a services map');
+  }
+  if (!isObject(manifest.services)) {
+    fail('services', 'must be an object mapping service names to entries');
+  }
+
+  const names = Object.keys(manifest.services);
+  for (const name of names) {
+    const entry = manifest.services[name];
+    const at = (field) => `services.${name}${field ? `.${field}` : ''}`;
+    if (!isObject(entry)) {
+      fail(at(), 'must be an object', name);
+    }
+    for (const field of Object.keys(entry)) {
+      if (!ENTRY_FIELDS.includes(field)) {
+        fail(at(field), `unknown field; expected one of ${ENTRY_FIELDS.join(', ')}`, name);
+      }
+    }
+    if (typeof entry.module !== 'string' || entry.module === '') {
+      fail(at('module'), 'must be a module path', name);
+    }
+    if (entry.export !== undefined && typeof entry.export !== 'string') {
+      fail(at('export'), 'must be a string', name);
+    }
+    if (entry.isolation !== undefined && !ISOLATIONS.includes(entry.isolation)) {
+      fail(at('isolation'), `must be one of ${ISOLATIONS.join(', ')}`, name);
+    }
+    if (entry.options !== undefined && !isObject(entry.options)) {
+      fail(at('options'), 'must be an object', name);
+    }
+    if (entry.dependsOn !== undefined) {
+      if (!Array.isArray(entry.dependsOn)) {
+        fail(at('dependsOn'), 'must be a list of service names', name);
+      }
+      entry.dependsOn.forEach((dep, index) => {
+        if (!names.includes(dep)) {
+          fail(at(`dependsOn[${index}]`), `unknown service ${JSON.stringify(dep)}`, name);
+        }
+      });
+    }
+  }
+
+  // Cycles are reported at the dependsOn of the service that closes them
+  const done = new Set();
+  const trail = [];
+  const visit = (name) => {
+    if (done.has(name)) return;
+    if (trail.includes(name)) {
+      const cycle = [...trail.slice(trail.indexOf(name)), name];
+      fail(`services.${trail.at(-1)}.dependsOn`, `dependency cycle: ${cycle.join(' -> ')}`, trail.at(-1));
+    }
+    trail.push(name);
+    for (const dep of manifest.services[name].dependsOn ?? []) {
+      visit(dep);
+    }
+    trail.pop();
+    done.add(name);
+  };
+  names.forEach(visit);
+}
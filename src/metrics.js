@@ -0,0 +1,153 @@
+import { performance } from 'perf_hooks';
+
+/**
+ * Per-service metrics and their Prometheus text exposition
+ *
+ * Workers count messages and time them; the registry collects every
+ * worker's snapshot and renders them. Durations are in seconds, as
+ * Prometheus expects.
+ */
+
+export const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Histogram - Cumulative-bucket histogram of observed values
+ */
+export class Histogram {
+  /**
+   * @param {number[]} [buckets=DEFAULT_BUCKETS] - Upper bounds, ascending
+   */
+  constructor(buckets = DEFAULT_BUCKETS) {
+    this.bounds = [...buckets].sort((a, b) => a - b);
+    this.counts = new Array(this.bounds.length).fill(0);
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  observe(value) {
+    this.count++;
+    this.sum += value;
+    const index = this.bounds.findIndex((bound) => value <= bound);
+    if (index !== -1) {
+      this.counts[index]++;
+    }
+  }
+
+  /**
+   * @returns {{count: number, sum: number, buckets: Array}} buckets lists
+   *   [upper bound, cumulative count] pairs in ascending order, ending with
+   *   ['+Inf', count]; an array, since object keys would not keep that order
+   */
+  toJSON() {
+    let cumulative = 0;
+    const buckets = this.bounds.map((bound, index) => {
+      cumulative += this.counts[index];
+      return [bound, cumulative];
+    });
+    buckets.push(['+Inf', this.count]);
+    return { count: this.count, sum: this.sum, buckets };
+  }
+}
+
+/**
+ * ServiceMetrics - What a ServiceWorker records about itself
+ */
+export class ServiceMetrics {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.buckets] - Histogram buckets in seconds
+   */
+  constructor(options = {}) {
+    this.received = 0;
+    this.succeeded = 0;
+    this.failed = 0;
+    this.starts = 0;
+    this.startedAt = 0;
+    this.queueWait = new Histogram(options.buckets);
+    this.handlerDuration = new Histogram(options.buckets);
+  }
+
+  started() {
+    this.starts++;
+    this.startedAt = performance.now();
+  }
+
+  /**
+   * @param {boolean} ok - Whether the handler succeeded
+   * @param {number} wait - Milliseconds spent queued
+   * @param {number} duration - Milliseconds spent in the handler
+   */
+  handled(ok, wait, duration) {
+    if (ok) {
+      this.succeeded++;
+    } else {
+      this.failed++;
+    }
+    this.queueWait.observe(wait / 1000);
+    this.handlerDuration.observe(duration / 1000);
+  }
+
+  /**
+   * @param {Object} state - The worker's getState(), for gauges
+   */
+  toJSON(state) {
+    return {
+      state: state.state,
+      received: this.received,
+      succeeded: this.succeeded,
+      failed: this.failed,
+      dropped: state.dropped,
+      queueLength: state.queueLength,
+      inFlight: state.inFlight,
+      restarts: Math.max(0, this.starts - 1),
+      uptime: state.state === 'running' ? (performance.now() - this.startedAt) / 1000 : 0,
+      queueWait: this.queueWait.toJSON(),
+      handlerDuration: this.handlerDuration.toJSON()
+    };
+  }
+}
+
+const FAMILIES = [
+  ['up', 'gauge', 'Whether the service is running', (m) => (m.state === 'running' ? 1 : 0)],
+  ['messages_received_total', 'counter', 'Messages accepted by send()', (m) => m.received],
+  ['messages_succeeded_total', 'counter', 'Messages the handler answered', (m) => m.succeeded],
+  ['messages_failed_total', 'counter', 'Messages the handler failed', (m) => m.failed],
+  ['messages_dropped_total', 'counter', 'Messages dropped by the overflow policy', (m) => m.dropped],
+  ['queue_length', 'gauge', 'Messages waiting in the mailbox', (m) => m.queueLength],
+  ['in_flight', 'gauge', 'Messages being handled', (m) => m.inFlight],
+  ['restarts_total', 'counter', 'Starts after the first one', (m) => m.restarts],
+  ['uptime_seconds', 'gauge', 'Seconds since the service last started', (m) => m.uptime],
+  ['queue_wait_seconds', 'histogram', 'Time messages spent queued', (m) => m.queueWait],
+  ['handler_duration_seconds', 'histogram', 'Time spent in onMessage', (m) => m.handlerDuration]
+];
+
+/**
+ * Render service metrics in the Prometheus text exposition format
+ * @param {Object} services - { [name]: ServiceMetrics#toJSON() }
+ * @param {string} [prefix='eiasw_']
+ * @returns {string}
+ */
+export function renderPrometheus(services, prefix = 'eiasw_') {
+  const lines = [];
+  for (const [family, type, help, pick] of FAMILIES) {
+    const name = prefix + family;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [service, metrics] of Object.entries(services)) {
+      const label = `service="${escapeLabel(service)}"`;
+      const value = pick(metrics);
+      if (type !== 'histogram') {
+        lines.push(`${name}{${label}} ${value}`);
+        continue;
+      }
+      for (const [bound, count] of value.buckets) {
+        lines.push(`${name}_bucket{${label},le="${bound}"} ${count}`);
+      }
+      lines.push(`${name}_sum{${label}} ${value.sum}`, `${name}_count{${label}} ${value.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
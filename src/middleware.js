@@ -0,0 +1,41 @@
+/**
+ * Koa-style middleware composition
+ *
+ * Each middleware is (ctx, next) => Promise. Awaiting next() runs the rest
+ * of the chain, ending in the handler; code after it sees the response.
+ * Not calling next() short-circuits the chain.
+ */
+
+/**
+ * @param {Function} middleware
+ * @returns {Function} The middleware, once checked
+ */
+export function checkMiddleware(middleware) {
+  if (typeof middleware !== 'function') {
+    throw new TypeError('Middleware must be a function (ctx, next)');
+  }
+  return middleware;
+}
+
+/**
+ * Compose middleware around a terminal function
+ * @param {Function[]} middleware
+ * @param {Function} terminal - (ctx) => Promise, run by the innermost next()
+ * @returns {Function} (ctx) => Promise
+ */
+export function compose(middleware, terminal) {
+  return (ctx) => {
+    let last = -1;
+    const dispatch = async (index) => {
+      if (index <= last) {
+        throw new Error('next() called multiple times');
+      }
+      last = index;
+      if (index === middleware.length) {
+        return terminal(ctx);
+      }
+      return middleware[index](ctx, () => dispatch(index + 1));
+    };
+    return dispatch(0);
+  };
+}
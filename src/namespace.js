@@ -0,0 +1,584 @@
+/**
+ * Namespace - A synthetic file tree generated from registered services
+ *
+ * Every worker appears as a directory under /srv:
+ *
+ *   /srv/<name>/ctl     write start, stop or restart; read the state
+ *   /srv/<name>/status  read the worker's getState() as JSON
+ *   /srv/<name>/data    write a message, read back the reply
+ *   /srv/<name>/events  read lifecycle events as JSON lines
+ *
+ * Files are opened with open(), which returns a handle carrying the
+ * per-open-file state (the last reply on data, the pending events on
+ * events). Handles are released with clunk().
+ *
+ * Like a Plan9 process namespace, each Namespace has its own mount table.
+ * bind() and mount() attach parts of the tree at other paths, either
+ * replacing what is there or forming a union directory with it.
+ */
+
+export const QTDIR = 0x80;
+export const QTFILE = 0x00;
+export const DMDIR = 0x80000000;
+
+export const OREAD = 0;
+export const OWRITE = 1;
+export const ORDWR = 2;
+export const OEXEC = 3;
+
+const WORKER_EVENTS = ['starting', 'started', 'stopping', 'stopped', 'error'];
+
+const BIND_MODES = ['replace', 'before', 'after'];
+
+/**
+ * Behaviour of the files inside a service directory
+ * @private
+ */
+const SERVICE_FILES = {
+  ctl: {
+    perm: 0o664,
+    read: (file, worker) => `${worker.state}\n`,
+    async write(file, worker, data) {
+      const command = data.toString('utf8').trim();
+      if (command === 'start') {
+        await worker.start();
+      } else if (command === 'stop') {
+        await worker.stop();
+      } else if (command === 'restart') {
+        await worker.restart();
+      } else {
+        throw new Error(`unknown control message: ${command}`);
+      }
+    }
+  },
+
+  status: {
+    perm: 0o444,
+    read: (file, worker) => `${JSON.stringify(worker.getState())}\n`
+  },
+
+  data: {
+    perm: 0o666,
+    read: (file) => file.reply ?? '',
+    async write(file, worker, data) {
+      file.reply = formatReply(await worker.send(parsePayload(data)));
+    }
+  },
+
+  events: {
+    perm: 0o444,
+    stream: true,
+    open(file, worker) {
+      file.events = [];
+      file.waiters = [];
+      file.listeners = WORKER_EVENTS.map((event) => {
+        const listener = (e) => {
+          const line = { event, name: e.name, time: Date.now() };
+          if (e.error) line.error = e.error.message;
+          file.events.push(`${JSON.stringify(line)}\n`);
+          for (const wake of file.waiters.splice(0)) wake();
+        };
+        worker.on(event, listener);
+        return [event, listener];
+      });
+      file.worker = worker;
+    },
+    async read(file, worker, offset, count) {
+      // Reads block until at least one event is available
+      while (file.events.length === 0 && file.listeners) {
+        await new Promise((resolve) => file.waiters.push(resolve));
+      }
+
+      let out = '';
+      while (file.events.length > 0 && Buffer.byteLength(out + file.events[0]) <= count) {
+        out += file.events.shift();
+      }
+      return Buffer.from(out);
+    },
+    clunk(file) {
+      for (const [event, listener] of file.listeners ?? []) {
+        file.worker.off(event, listener);
+      }
+      file.listeners = null;
+      for (const wake of file.waiters.splice(0)) wake();
+    }
+  }
+};
+
+export class Namespace {
+  /**
+   * @param {ServiceRegistry} registry - The registry whose services are exported
+   */
+  constructor(registry) {
+    this.registry = registry;
+    this.qidPaths = new Map();
+    this.files = new Map();
+    this.mounts = new Map();
+    this.nextHandle = 1;
+  }
+
+  /**
+   * Make target refer to source, like Plan9 bind(1)
+   * With mode 'before' or 'after', target becomes a union directory whose
+   * members are searched in order; 'replace' hides whatever was there.
+   * The target need not exist, but its parent directory must.
+   * @param {string} source - Path to attach, evaluated in this namespace
+   * @param {string} target - Path to attach it at
+   * @param {Object} [options]
+   * @param {string} [options.mode='replace'] - 'replace', 'before' or 'after'
+   */
+  bind(source, target, options = {}) {
+    const mode = options.mode ?? 'replace';
+    if (!BIND_MODES.includes(mode)) {
+      throw new Error(`Unknown bind mode: ${mode}`);
+    }
+
+    source = normalize(source);
+    target = normalize(target);
+
+    const added = this._resolve(source);
+    if (!added) {
+      throw new Error(`bind: ${source}: file does not exist`);
+    }
+
+    const existing = this._resolve(target) ?? [];
+    if (existing.length === 0 && target !== '/' && !this._find(joinPath(target, '..'))) {
+      throw new Error(`bind: ${target}: file does not exist`);
+    }
+
+    if (mode !== 'replace' && existing.length > 0) {
+      if (!this._isDir(existing[0]) || !this._isDir(added[0])) {
+        throw new Error(`bind: ${target}: union requires directories`);
+      }
+    }
+
+    let members = added;
+    if (mode === 'before') members = [...added, ...existing];
+    if (mode === 'after') members = [...existing, ...added];
+
+    this.mounts.set(target, Array.from(new Set(members)));
+    return true;
+  }
+
+  /**
+   * Attach a registered service's directory at target
+   * @param {string} name - Service name
+   * @param {string} target - Path to attach it at
+   * @param {Object} [options] - As for bind()
+   */
+  mount(name, target, options = {}) {
+    if (!this.registry.get(name)) {
+      throw new Error(`Service ${name} is not registered`);
+    }
+    return this.bind(`/srv/${name}`, target, options);
+  }
+
+  /**
+   * Undo a bind or mount
+   * With a source, only that member is removed from the union at target.
+   * @param {string} target
+   * @param {string} [source]
+   */
+  unmount(target, source) {
+    target = normalize(target);
+    const members = this.mounts.get(target);
+    if (!members) {
+      throw new Error(`unmount: ${target}: not mounted`);
+    }
+
+    if (source === undefined) {
+      this.mounts.delete(target);
+      return true;
+    }
+
+    const removed = new Set(this._resolve(normalize(source)) ?? []);
+    const remaining = members.filter((member) => !removed.has(member));
+    if (remaining.length === members.length) {
+      throw new Error(`unmount: ${source}: not mounted on ${target}`);
+    }
+
+    if (remaining.length > 0) {
+      this.mounts.set(target, remaining);
+    } else {
+      this.mounts.delete(target);
+    }
+    return true;
+  }
+
+  /**
+   * Send a message to the service a path refers to
+   * For a union, members are tried in order and the first reply other
+   * than undefined wins, so an overlay can answer what it knows and leave
+   * the rest to the services behind it.
+   * @param {string} path - A service directory or data file, possibly a union
+   * @param {*} message
+   * @returns {Promise<*>}
+   */
+  async send(path, message) {
+    const members = this._resolve(normalize(path));
+    if (!members) {
+      throw new Error(`${path}: file does not exist`);
+    }
+
+    const names = members.map(serviceOf).filter((name) => name !== null);
+    if (names.length === 0) {
+      throw new Error(`${path}: not a service`);
+    }
+
+    for (const name of names) {
+      const response = await this.registry.send(name, message);
+      if (response !== undefined) return response;
+    }
+    return undefined;
+  }
+
+  /**
+   * Walk from a path through a list of names
+   * Returns the qids of the elements walked; stops at the first missing
+   * element, and throws if not even the first one exists.
+   * @param {string} path - Starting path
+   * @param {string[]} names - Path elements to walk
+   * @returns {{ path: string, qids: Object[] }}
+   */
+  walk(path, names = []) {
+    let current = normalize(path);
+    if (!this._find(current)) {
+      throw new Error('file does not exist');
+    }
+
+    const qids = [];
+    for (const name of names) {
+      if (this._find(current).qid.type !== QTDIR) {
+        if (qids.length === 0) throw new Error('not a directory');
+        break;
+      }
+
+      const next = joinPath(current, name);
+      const node = this._find(next);
+      if (!node) {
+        if (qids.length === 0) throw new Error('file does not exist');
+        break;
+      }
+
+      current = next;
+      qids.push(node.qid);
+    }
+
+    return { path: current, qids };
+  }
+
+  /**
+   * Get the directory entry for a path
+   * @param {string} path
+   * @returns {Object} { name, qid, mode, length, atime, mtime, uid, gid, muid }
+   */
+  stat(path) {
+    const node = this._find(normalize(path));
+    if (!node) {
+      throw new Error('file does not exist');
+    }
+    return node.stat;
+  }
+
+  /**
+   * List the entries of a directory
+   * A union lists the entries of all its members, the first of each name
+   * winning, followed by any mount points created inside it.
+   * @param {string} path
+   * @returns {Object[]} Directory entries, as returned by stat()
+   */
+  readdir(path) {
+    path = normalize(path);
+    const node = this._find(path);
+    if (!node) {
+      throw new Error('file does not exist');
+    }
+    if (node.qid.type !== QTDIR) {
+      throw new Error('not a directory');
+    }
+
+    const names = new Set();
+    for (const member of node.members.filter((m) => this._isDir(m))) {
+      for (const name of this._children(member)) names.add(name);
+    }
+    for (const target of this.mounts.keys()) {
+      if (target !== '/' && joinPath(target, '..') === path) {
+        names.add(target.slice(target.lastIndexOf('/') + 1));
+      }
+    }
+
+    return Array.from(names)
+      .map((name) => this._find(joinPath(path, name)))
+      .filter(Boolean)
+      .map((child) => child.stat);
+  }
+
+  /**
+   * Open a file, returning a handle for read/write/clunk
+   * @param {string} path
+   * @param {number} [mode=OREAD] - OREAD, OWRITE, ORDWR or OEXEC
+   * @returns {number} The open-file handle
+   */
+  open(path, mode = OREAD) {
+    path = normalize(path);
+    const node = this._find(path);
+    if (!node) {
+      throw new Error('file does not exist');
+    }
+
+    const access = mode & 3;
+    const perm = node.stat.mode;
+    const wantsRead = access === OREAD || access === ORDWR;
+    const wantsWrite = access === OWRITE || access === ORDWR;
+    if (access === OEXEC || (wantsRead && !(perm & 0o444)) || (wantsWrite && !(perm & 0o222))) {
+      throw new Error('permission denied');
+    }
+
+    const handle = this.nextHandle++;
+    const file = { path, mode: access, node, reply: null };
+    if (node.spec?.open) {
+      node.spec.open(file, node.worker);
+    }
+    this.files.set(handle, file);
+    return handle;
+  }
+
+  /**
+   * Read from an open file
+   * @param {number} handle
+   * @param {number} [offset=0]
+   * @param {number} [count=Infinity]
+   * @returns {Promise<Buffer>}
+   */
+  async read(handle, offset = 0, count = Infinity) {
+    const file = this._file(handle);
+    if (file.mode === OWRITE) {
+      throw new Error('permission denied');
+    }
+    if (file.node.qid.type === QTDIR) {
+      throw new Error('is a directory');
+    }
+
+    // Streams ignore the offset; each read consumes what it returns
+    if (file.node.spec.stream) {
+      return file.node.spec.read(file, file.node.worker, offset, count);
+    }
+
+    // Content is generated at offset 0 so that reading in chunks sees one snapshot
+    if (offset === 0 || file.content === undefined) {
+      const content = await file.node.spec.read(file, file.node.worker, offset, count);
+      file.content = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    }
+    return file.content.subarray(offset, offset + count);
+  }
+
+  /**
+   * Write to an open file
+   * @param {number} handle
+   * @param {Buffer|string} data
+   * @returns {Promise<number>} Number of bytes written
+   */
+  async write(handle, data) {
+    const file = this._file(handle);
+    if (file.mode === OREAD) {
+      throw new Error('permission denied');
+    }
+
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    await file.node.spec.write(file, file.node.worker, buffer);
+    return buffer.length;
+  }
+
+  /**
+   * Release an open file and its per-open state
+   * @param {number} handle
+   */
+  clunk(handle) {
+    const file = this._file(handle);
+    this.files.delete(handle);
+    if (file.node.spec?.clunk) {
+      file.node.spec.clunk(file, file.node.worker);
+    }
+    return true;
+  }
+
+  /**
+   * Release every open file
+   */
+  close() {
+    for (const handle of Array.from(this.files.keys())) {
+      this.clunk(handle);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _file(handle) {
+    const file = this.files.get(handle);
+    if (!file) {
+      throw new Error('file not open');
+    }
+    return file;
+  }
+
+  /**
+   * Resolve a path through the mount table to the tree paths it refers to
+   * Returns the members in search order, or null if the path does not exist.
+   * @private
+   */
+  _resolve(path) {
+    let members = ['/'];
+    let current = '/';
+    const names = path.split('/').filter(Boolean);
+
+    for (let i = 0; i <= names.length; i++) {
+      if (i > 0) {
+        current = joinPath(current, names[i - 1]);
+        const found = members
+          .map((member) => joinPath(member, names[i - 1]))
+          .find((candidate) => this._lookup(candidate));
+        members = found ? [found] : [];
+      }
+
+      // Mounts hide what is underneath; members of removed services vanish
+      if (this.mounts.has(current)) {
+        members = this.mounts.get(current).filter((member) => this._lookup(member));
+      }
+      if (members.length === 0) return null;
+    }
+
+    return members;
+  }
+
+  /**
+   * Find the node a path refers to, named as seen through this namespace
+   * @private
+   */
+  _find(path) {
+    const members = this._resolve(path);
+    if (!members) return null;
+
+    const node = this._lookup(members[0]);
+    const name = path === '/' ? '/' : path.slice(path.lastIndexOf('/') + 1);
+    return { ...node, members, stat: { ...node.stat, name } };
+  }
+
+  /**
+   * @private
+   */
+  _isDir(path) {
+    return this._lookup(path)?.qid.type === QTDIR;
+  }
+
+  /**
+   * Names inside a directory
+   * @private
+   */
+  _children(path) {
+    if (path === '/') return ['srv'];
+    if (path === '/srv') return this.registry.list().filter((name) => !name.includes('/'));
+    return Object.keys(SERVICE_FILES);
+  }
+
+  /**
+   * Resolve a normalized path to a node
+   * @private
+   */
+  _lookup(path) {
+    if (path === '/' || path === '/srv') {
+      return this._node(path, null, null);
+    }
+
+    const [, srv, name, file, ...rest] = path.split('/');
+    if (srv !== 'srv' || rest.length > 0) return null;
+
+    const worker = this.registry.get(name);
+    if (!worker) return null;
+    if (file === undefined) return this._node(path, worker, null);
+
+    if (!Object.hasOwn(SERVICE_FILES, file)) return null;
+    return this._node(path, worker, SERVICE_FILES[file]);
+  }
+
+  /**
+   * @private
+   */
+  _node(path, worker, spec) {
+    if (!this.qidPaths.has(path)) {
+      this.qidPaths.set(path, this.qidPaths.size);
+    }
+
+    const isDir = spec === null;
+    const qid = { type: isDir ? QTDIR : QTFILE, version: 0, path: this.qidPaths.get(path) };
+    const now = Math.floor(Date.now() / 1000);
+    return {
+      worker,
+      spec,
+      qid,
+      stat: {
+        qid,
+        mode: isDir ? (DMDIR | 0o555) >>> 0 : spec.perm,
+        atime: now,
+        mtime: now,
+        length: 0,
+        name: path === '/' ? '/' : path.slice(path.lastIndexOf('/') + 1),
+        uid: 'eiasw',
+        gid: 'eiasw',
+        muid: 'eiasw'
+      }
+    };
+  }
+}
+
+/**
+ * Join a walk element onto a path, honouring '.' and '..'
+ */
+export function joinPath(path, name) {
+  if (name === '..') {
+    const index = path.lastIndexOf('/');
+    return index <= 0 ? '/' : path.slice(0, index);
+  }
+  if (name === '.' || name === '') return path;
+  return path === '/' ? `/${name}` : `${path}/${name}`;
+}
+
+/**
+ * Clean a path into its absolute, slash-separated form
+ */
+export function normalize(path) {
+  return String(path).split('/').reduce(joinPath, '/');
+}
+
+/**
+ * The service a tree path belongs to, if it is a service directory or data file
+ * @private
+ */
+function serviceOf(path) {
+  const match = /^\/srv\/([^/]+)(\/data)?$/.exec(path);
+  return match ? match[1] : null;
+}
+
+/**
+ * Written bytes become a JSON message, or a plain string if not JSON
+ * @private
+ */
+function parsePayload(data) {
+  const text = data.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Replies are read back as text: strings verbatim, anything else as JSON
+ * @private
+ */
+function formatReply(response) {
+  if (response === undefined) return Buffer.alloc(0);
+  if (Buffer.isBuffer(response)) return response;
+  if (typeof response === 'string') return Buffer.from(response, 'utf8');
+  return Buffer.from(`${JSON.stringify(response)}\n`, 'utf8');
+}
@@ -0,0 +1,725 @@
+import { EventEmitter } from 'events';
+import net from 'net';
+import { QTDIR, OREAD } from './namespace.js';
+
+export { QTDIR, QTFILE, DMDIR, OREAD, OWRITE, ORDWR, OEXEC } from './namespace.js';
+
+/**
+ * 9P2000 protocol support
+ *
+ * Serves a ServiceRegistry to any 9P client over TCP or a Unix socket.
+ * Each connection gets its own registry.namespace(), so services appear
+ * as /srv/<name>/{ctl,status,data,events} and fids map onto the
+ * namespace's open-file handles.
+ */
+
+export const MessageType = {
+  Tversion: 100,
+  Rversion: 101,
+  Tauth: 102,
+  Rauth: 103,
+  Tattach: 104,
+  Rattach: 105,
+  Rerror: 107,
+  Tflush: 108,
+  Rflush: 109,
+  Twalk: 110,
+  Rwalk: 111,
+  Topen: 112,
+  Ropen: 113,
+  Tcreate: 114,
+  Rcreate: 115,
+  Tread: 116,
+  Rread: 117,
+  Twrite: 118,
+  Rwrite: 119,
+  Tclunk: 120,
+  Rclunk: 121,
+  Tremove: 122,
+  Rremove: 123,
+  Tstat: 124,
+  Rstat: 125,
+  Twstat: 126,
+  Rwstat: 127
+};
+
+export const NOTAG = 0xffff;
+export const NOFID = 0xffffffff;
+
+// size[4] type[1] tag[2]
+const HEADER_SIZE = 7;
+// Header plus the fixed part of Rread/Twrite
+const IOHDRSZ = 24;
+// Longest error string sent in an Rerror, as in Plan 9
+const ERRMAX = 128;
+
+const VERSION = '9P2000';
+
+// Field layout of each message body, in wire order
+const LAYOUTS = {
+  [MessageType.Tversion]: [['msize', 'u32'], ['version', 'str']],
+  [MessageType.Rversion]: [['msize', 'u32'], ['version', 'str']],
+  [MessageType.Tauth]: [['afid', 'u32'], ['uname', 'str'], ['aname', 'str']],
+  [MessageType.Rauth]: [['aqid', 'qid']],
+  [MessageType.Tattach]: [['fid', 'u32'], ['afid', 'u32'], ['uname', 'str'], ['aname', 'str']],
+  [MessageType.Rattach]: [['qid', 'qid']],
+  [MessageType.Rerror]: [['ename', 'str']],
+  [MessageType.Tflush]: [['oldtag', 'u16']],
+  [MessageType.Rflush]: [],
+  [MessageType.Twalk]: [['fid', 'u32'], ['newfid', 'u32'], ['wnames', 'strs']],
+  [MessageType.Rwalk]: [['qids', 'qids']],
+  [MessageType.Topen]: [['fid', 'u32'], ['mode', 'u8']],
+  [MessageType.Ropen]: [['qid', 'qid'], ['iounit', 'u32']],
+  [MessageType.Tcreate]: [['fid', 'u32'], ['name', 'str'], ['perm', 'u32'], ['mode', 'u8']],
+  [MessageType.Rcreate]: [['qid', 'qid'], ['iounit', 'u32']],
+  [MessageType.Tread]: [['fid', 'u32'], ['offset', 'u64'], ['count', 'u32']],
+  [MessageType.Rread]: [['data', 'data']],
+  [MessageType.Twrite]: [['fid', 'u32'], ['offset', 'u64'], ['data', 'data']],
+  [MessageType.Rwrite]: [['count', 'u32']],
+  [MessageType.Tclunk]: [['fid', 'u32']],
+  [MessageType.Rclunk]: [],
+  [MessageType.Tremove]: [['fid', 'u32']],
+  [MessageType.Rremove]: [],
+  [MessageType.Tstat]: [['fid', 'u32']],
+  [MessageType.Rstat]: [['stat', 'stat']],
+  [MessageType.Twstat]: [['fid', 'u32'], ['stat', 'stat']],
+  [MessageType.Rwstat]: []
+};
+
+/**
+ * Little-endian cursor over a received buffer
+ * @private
+ */
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  u8() {
+    const value = this.buffer.readUInt8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u16() {
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  u64() {
+    const value = this.buffer.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return Number(value);
+  }
+
+  bytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new RangeError('9P message truncated');
+    }
+    const value = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  str() {
+    return this.bytes(this.u16()).toString('utf8');
+  }
+
+  strs() {
+    const count = this.u16();
+    const values = [];
+    for (let i = 0; i < count; i++) values.push(this.str());
+    return values;
+  }
+
+  qid() {
+    return { type: this.u8(), version: this.u32(), path: this.u64() };
+  }
+
+  qids() {
+    const count = this.u16();
+    const values = [];
+    for (let i = 0; i < count; i++) values.push(this.qid());
+    return values;
+  }
+
+  data() {
+    return Buffer.from(this.bytes(this.u32()));
+  }
+
+  stat() {
+    // Rstat/Twstat wrap the stat in an extra length prefix
+    return decodeStat(this.bytes(this.u16()));
+  }
+}
+
+/**
+ * Little-endian buffer builder
+ * @private
+ */
+class Writer {
+  constructor() {
+    this.parts = [];
+  }
+
+  u8(value) {
+    const buf = Buffer.alloc(1);
+    buf.writeUInt8(value);
+    this.parts.push(buf);
+  }
+
+  u16(value) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16LE(value);
+    this.parts.push(buf);
+  }
+
+  u32(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32LE(value >>> 0);
+    this.parts.push(buf);
+  }
+
+  u64(value) {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64LE(BigInt(value));
+    this.parts.push(buf);
+  }
+
+  str(value) {
+    const buf = Buffer.from(value ?? '', 'utf8');
+    this.u16(buf.length);
+    this.parts.push(buf);
+  }
+
+  strs(values) {
+    this.u16(values.length);
+    for (const value of values) this.str(value);
+  }
+
+  qid(qid) {
+    this.u8(qid.type);
+    this.u32(qid.version ?? 0);
+    this.u64(qid.path);
+  }
+
+  qids(qids) {
+    this.u16(qids.length);
+    for (const qid of qids) this.qid(qid);
+  }
+
+  data(value) {
+    const buf = Buffer.isBuffer(value) ? value : Buffer.from(value ?? '');
+    this.u32(buf.length);
+    this.parts.push(buf);
+  }
+
+  stat(stat) {
+    const buf = encodeStat(stat);
+    this.u16(buf.length);
+    this.parts.push(buf);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.parts);
+  }
+}
+
+/**
+ * Encode a directory entry (stat structure, including its size prefix)
+ * @param {Object} stat - { type, dev, qid, mode, atime, mtime, length, name, uid, gid, muid }
+ * @returns {Buffer}
+ */
+export function encodeStat(stat) {
+  const body = new Writer();
+  body.u16(stat.type ?? 0);
+  body.u32(stat.dev ?? 0);
+  body.qid(stat.qid);
+  body.u32(stat.mode ?? 0);
+  body.u32(stat.atime ?? 0);
+  body.u32(stat.mtime ?? 0);
+  body.u64(stat.length ?? 0);
+  body.str(stat.name);
+  body.str(stat.uid);
+  body.str(stat.gid);
+  body.str(stat.muid);
+
+  const buf = body.toBuffer();
+  const out = new Writer();
+  out.u16(buf.length);
+  out.parts.push(buf);
+  return out.toBuffer();
+}
+
+/**
+ * Decode a stat structure (including its size prefix)
+ * @param {Buffer} buffer
+ * @returns {Object}
+ */
+export function decodeStat(buffer) {
+  const reader = new Reader(buffer);
+  reader.u16();
+  return {
+    type: reader.u16(),
+    dev: reader.u32(),
+    qid: reader.qid(),
+    mode: reader.u32(),
+    atime: reader.u32(),
+    mtime: reader.u32(),
+    length: reader.u64(),
+    name: reader.str(),
+    uid: reader.str(),
+    gid: reader.str(),
+    muid: reader.str()
+  };
+}
+
+/**
+ * Decode a sequence of stat structures, as returned by reading a directory
+ * @param {Buffer} buffer
+ * @returns {Object[]}
+ */
+export function decodeDirectory(buffer) {
+  const entries = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const size = buffer.readUInt16LE(offset) + 2;
+    entries.push(decodeStat(buffer.subarray(offset, offset + size)));
+    offset += size;
+  }
+  return entries;
+}
+
+/**
+ * Encode a 9P message into a complete frame
+ * @param {Object} message - { type, tag, ...fields }
+ * @returns {Buffer}
+ */
+export function encodeMessage(message) {
+  const layout = LAYOUTS[message.type];
+  if (!layout) {
+    throw new Error(`Unknown 9P message type: ${message.type}`);
+  }
+
+  const body = new Writer();
+  for (const [field, kind] of layout) {
+    body[kind](message[field]);
+  }
+
+  const payload = body.toBuffer();
+  const frame = Buffer.alloc(HEADER_SIZE + payload.length);
+  frame.writeUInt32LE(frame.length, 0);
+  frame.writeUInt8(message.type, 4);
+  frame.writeUInt16LE(message.tag ?? NOTAG, 5);
+  payload.copy(frame, HEADER_SIZE);
+  return frame;
+}
+
+/**
+ * Decode a complete 9P frame
+ * @param {Buffer} frame
+ * @returns {Object} { type, tag, ...fields }
+ */
+export function decodeMessage(frame) {
+  const reader = new Reader(frame);
+  const size = reader.u32();
+  if (size !== frame.length) {
+    throw new RangeError(`9P frame size mismatch: header ${size}, got ${frame.length}`);
+  }
+
+  const message = { type: reader.u8(), tag: reader.u16() };
+  const layout = LAYOUTS[message.type];
+  if (!layout) {
+    throw new Error(`Unknown 9P message type: ${message.type}`);
+  }
+
+  for (const [field, kind] of layout) {
+    message[field] = reader[kind]();
+  }
+  return message;
+}
+
+/**
+ * Split a byte stream into 9P frames
+ *
+ * Feed it socket chunks with push(); every complete frame is passed to
+ * the callback. Partial frames are buffered until the rest arrives.
+ * A header claiming more than maxSize bytes throws before anything is
+ * buffered for it.
+ */
+export class FrameParser {
+  /**
+   * @param {Function} onFrame - Called with each complete frame
+   * @param {number} [maxSize=Infinity] - Largest frame accepted
+   */
+  constructor(onFrame, maxSize = Infinity) {
+    this.onFrame = onFrame;
+    this.maxSize = maxSize;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length >= 4) {
+      const size = this.buffer.readUInt32LE(0);
+      if (size < HEADER_SIZE) {
+        throw new RangeError(`Invalid 9P frame size: ${size}`);
+      }
+      if (size > this.maxSize) {
+        throw new RangeError(`9P frame size ${size} exceeds msize ${this.maxSize}`);
+      }
+      if (this.buffer.length < size) break;
+
+      const frame = this.buffer.subarray(0, size);
+      this.buffer = this.buffer.subarray(size);
+      this.onFrame(frame);
+    }
+  }
+}
+
+/**
+ * Cut an error string to ERRMAX bytes without splitting a character
+ * @private
+ */
+function truncateError(ename) {
+  if (Buffer.byteLength(ename) <= ERRMAX) {
+    return ename;
+  }
+  const chars = Array.from(ename).slice(0, ERRMAX);
+  while (Buffer.byteLength(chars.join('')) > ERRMAX - 3) {
+    chars.pop();
+  }
+  return chars.join('') + '...';
+}
+
+/**
+ * One client connection: negotiated msize, namespace, fid table and pending tags
+ * @private
+ */
+class Session {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.msize = server.msize;
+    this.namespace = server.createNamespace();
+    this.fids = new Map();
+    this.pending = new Set();
+    this.flushed = new Set();
+
+    this.parser = new FrameParser((frame) => {
+      this._dispatch(frame).catch((error) => this._fail(error));
+    }, this.msize);
+
+    socket.on('data', (chunk) => {
+      try {
+        this.parser.push(chunk);
+      } catch (error) {
+        this._fail(error);
+      }
+    });
+    socket.on('error', (error) => this._fail(error));
+    socket.on('close', () => this.namespace.close());
+  }
+
+  /**
+   * Drop this connection after a socket or framing error
+   * @private
+   */
+  _fail(error) {
+    // One bad client must not take the server down, so without a listener it is only dropped
+    if (this.server.listenerCount('error') > 0) {
+      this.server.emit('error', error);
+    }
+    this.socket.destroy();
+  }
+
+  /**
+   * Decode a frame, run its handler and write the reply
+   * @private
+   */
+  async _dispatch(frame) {
+    let request;
+    try {
+      request = decodeMessage(frame);
+    } catch (error) {
+      const tag = frame.length >= HEADER_SIZE ? frame.readUInt16LE(5) : NOTAG;
+      this._reply({ type: MessageType.Rerror, tag, ename: error.message });
+      return;
+    }
+
+    const handler = this[`_${Object.keys(MessageType).find((k) => MessageType[k] === request.type)}`];
+    if (!handler || request.type % 2 !== 0) {
+      this._reply({ type: MessageType.Rerror, tag: request.tag, ename: 'unsupported message type' });
+      return;
+    }
+
+    this.pending.add(request.tag);
+    let reply;
+    try {
+      reply = { ...(await handler.call(this, request)), type: request.type + 1, tag: request.tag };
+    } catch (error) {
+      reply = { type: MessageType.Rerror, tag: request.tag, ename: error.message || String(error) };
+    }
+    this.pending.delete(request.tag);
+
+    // A flushed request must not be answered
+    if (this.flushed.delete(request.tag)) return;
+    this._reply(reply);
+  }
+
+  /**
+   * Encode and send a reply; one that would not fit the msize becomes an Rerror
+   * @private
+   */
+  _reply(message) {
+    if (this.socket.destroyed) {
+      return;
+    }
+    if (message.type === MessageType.Rerror) {
+      message = { ...message, ename: truncateError(message.ename) };
+    }
+    let frame = encodeMessage(message);
+    if (frame.length > this.msize) {
+      frame = encodeMessage({ type: MessageType.Rerror, tag: message.tag, ename: 'reply too large' });
+    }
+    this.socket.write(frame);
+  }
+
+  _fid(fid) {
+    const entry = this.fids.get(fid);
+    if (!entry) throw new Error('fid unknown or out of range');
+    return entry;
+  }
+
+  _newFid(fid) {
+    if (fid === NOFID || this.fids.has(fid)) {
+      throw new Error('fid already in use');
+    }
+  }
+
+  _clunk(fid) {
+    const entry = this._fid(fid);
+    this.fids.delete(fid);
+    if (entry.handle !== null) {
+      this.namespace.clunk(entry.handle);
+    }
+  }
+
+  async _Tversion(request) {
+    // A version request aborts all outstanding I/O and resets the fid table
+    for (const fid of Array.from(this.fids.keys())) {
+      this._clunk(fid);
+    }
+    this.msize = Math.min(request.msize, this.server.msize);
+    this.parser.maxSize = this.msize;
+    const version = request.version.startsWith(VERSION) ? VERSION : 'unknown';
+    return { msize: this.msize, version };
+  }
+
+  async _Tauth() {
+    throw new Error('authentication not required');
+  }
+
+  async _Tattach(request) {
+    if (request.afid !== NOFID) {
+      throw new Error('authentication not required');
+    }
+    this._newFid(request.fid);
+
+    const stat = this.namespace.stat('/');
+    this.fids.set(request.fid, { path: '/', qid: stat.qid, open: false, handle: null });
+    return { qid: stat.qid };
+  }
+
+  async _Tflush(request) {
+    if (this.pending.has(request.oldtag)) {
+      this.flushed.add(request.oldtag);
+    }
+    return {};
+  }
+
+  async _Twalk(request) {
+    const entry = this._fid(request.fid);
+    if (entry.open) {
+      throw new Error('cannot walk an open fid');
+    }
+    if (request.newfid !== request.fid) {
+      this._newFid(request.newfid);
+    }
+
+    const { path, qids } = this.namespace.walk(entry.path, request.wnames);
+
+    // The new fid is only established when every element was walked
+    if (qids.length === request.wnames.length) {
+      const qid = qids.length > 0 ? qids[qids.length - 1] : entry.qid;
+      this.fids.set(request.newfid, { path, qid, open: false, handle: null });
+    }
+    return { qids };
+  }
+
+  async _Topen(request) {
+    const entry = this._fid(request.fid);
+    if (entry.open) {
+      throw new Error('file already open');
+    }
+
+    // Directories are listed by the session; files are opened in the namespace
+    if (entry.qid.type === QTDIR) {
+      if ((request.mode & 3) !== OREAD) {
+        throw new Error('permission denied');
+      }
+      entry.dir = null;
+    } else {
+      entry.handle = this.namespace.open(entry.path, request.mode);
+    }
+    entry.open = true;
+    return { qid: entry.qid, iounit: this.msize - IOHDRSZ };
+  }
+
+  async _Tread(request) {
+    const entry = this._fid(request.fid);
+    if (!entry.open) {
+      throw new Error('file not open');
+    }
+
+    const count = Math.min(request.count, this.msize - IOHDRSZ);
+    if (entry.qid.type !== QTDIR) {
+      return { data: await this.namespace.read(entry.handle, request.offset, count) };
+    }
+
+    if (request.offset === 0 || !entry.dir) {
+      entry.dir = this.namespace.readdir(entry.path).map(encodeStat);
+      entry.dirOffset = 0;
+      entry.dirIndex = 0;
+    }
+    if (request.offset !== entry.dirOffset) {
+      throw new Error('bad offset in directory read');
+    }
+
+    // Directory reads return whole stat entries only
+    const chunks = [];
+    let size = 0;
+    while (entry.dirIndex < entry.dir.length && size + entry.dir[entry.dirIndex].length <= count) {
+      size += entry.dir[entry.dirIndex].length;
+      chunks.push(entry.dir[entry.dirIndex++]);
+    }
+    entry.dirOffset += size;
+    return { data: Buffer.concat(chunks) };
+  }
+
+  async _Twrite(request) {
+    const entry = this._fid(request.fid);
+    if (!entry.open) {
+      throw new Error('file not open');
+    }
+    if (entry.qid.type === QTDIR) {
+      throw new Error('is a directory');
+    }
+    return { count: await this.namespace.write(entry.handle, request.data) };
+  }
+
+  async _Tclunk(request) {
+    this._clunk(request.fid);
+    return {};
+  }
+
+  async _Tremove(request) {
+    // Tremove clunks the fid even when the remove fails
+    await this._Tclunk(request);
+    throw new Error('permission denied');
+  }
+
+  async _Tcreate() {
+    throw new Error('permission denied');
+  }
+
+  async _Tstat(request) {
+    const entry = this._fid(request.fid);
+    return { stat: this.namespace.stat(entry.path) };
+  }
+
+  async _Twstat() {
+    throw new Error('permission denied');
+  }
+}
+
+/**
+ * NinePServer - Serves a ServiceRegistry over 9P2000
+ *
+ * Listens on TCP ({ port, host }) or a Unix socket ({ path }). Each
+ * connection gets its own namespace and fid table.
+ */
+export class NinePServer extends EventEmitter {
+  /**
+   * @param {ServiceRegistry} registry - The registry to serve
+   * @param {Object} [options]
+   * @param {number} [options.msize=8192] - Maximum message size offered to clients
+   * @param {Function} [options.namespace] - Builds the namespace for each new
+   *   connection, e.g. to bind or mount services per client
+   */
+  constructor(registry, options = {}) {
+    super();
+    this.registry = registry;
+    this.msize = options.msize ?? 8192;
+    this.createNamespace = options.namespace ?? (() => registry.namespace());
+    this.sessions = new Set();
+    this.server = net.createServer((socket) => this._accept(socket));
+  }
+
+  /**
+   * Start listening
+   * @param {Object} options - net.Server listen options: { port, host } or { path }
+   * @returns {Promise<Object|string>} The bound address
+   */
+  listen(options) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(options, () => {
+        this.server.off('error', reject);
+        this.emit('listening', this.server.address());
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Get the bound address
+   */
+  address() {
+    return this.server.address();
+  }
+
+  /**
+   * Stop listening and drop all client connections
+   */
+  close() {
+    for (const session of this.sessions) {
+      session.socket.destroy();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.emit('close');
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _accept(socket) {
+    const session = new Session(this, socket);
+    this.sessions.add(session);
+    socket.on('close', () => this.sessions.delete(session));
+    this.emit('connection', { remoteAddress: socket.remoteAddress });
+  }
+}
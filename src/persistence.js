@@ -0,0 +1,151 @@
+import { readFile, writeFile, appendFile, rename } from 'fs/promises';
+import { WriteQueue } from './util.js';
+
+/**
+ * Storage adapters for worker context snapshots
+ *
+ * A store keeps one snapshot per service name and implements:
+ * - async load(name) - the last saved snapshot, or undefined
+ * - async save(name, snapshot) - replace the service's snapshot
+ *
+ * Snapshots are whatever the worker's serialize hook returns and must
+ * survive JSON.stringify; all stores round-trip them through JSON so that
+ * state which would not survive a file does not survive memory either.
+ */
+
+/**
+ * MemoryStore - Keeps snapshots for the lifetime of the process
+ */
+export class MemoryStore {
+  constructor() {
+    this.snapshots = new Map();
+  }
+
+  async load(name) {
+    const json = this.snapshots.get(name);
+    return json === undefined ? undefined : JSON.parse(json);
+  }
+
+  async save(name, snapshot) {
+    this.snapshots.set(name, JSON.stringify(snapshot));
+  }
+}
+
+/**
+ * JsonFileStore - Keeps every service's snapshot in one JSON file
+ *
+ * The file is rewritten through a temporary file and a rename, so a crash
+ * mid-write leaves the previous version intact.
+ */
+export class JsonFileStore {
+  /**
+   * @param {string} path - File holding { [service]: snapshot }
+   */
+  constructor(path) {
+    this.path = path;
+    this.queue = new WriteQueue();
+  }
+
+  async load(name) {
+    await this.queue.idle();
+    return (await this._read())[name];
+  }
+
+  save(name, snapshot) {
+    // Services share the file, so writes are serialized
+    return this.queue.run(async () => {
+      const snapshots = await this._read();
+      snapshots[name] = snapshot;
+      await writeAtomic(this.path, JSON.stringify(snapshots, null, 2));
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _read() {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+}
+
+/**
+ * LogStore - Appends every snapshot as a JSON line
+ *
+ * Saving never rewrites earlier data, so it is cheap and crash-safe; the
+ * latest line for a service wins. A torn last line is ignored. compact()
+ * drops superseded lines.
+ */
+export class LogStore {
+  /**
+   * @param {string} path - Log file of { name, time, snapshot } lines
+   */
+  constructor(path) {
+    this.path = path;
+    this.queue = new WriteQueue();
+  }
+
+  async load(name) {
+    await this.queue.idle();
+    return (await this._latest()).get(name);
+  }
+
+  save(name, snapshot) {
+    const line = JSON.stringify({ name, time: Date.now(), snapshot }) + '\n';
+    return this.queue.run(() => appendFile(this.path, line));
+  }
+
+  /**
+   * Rewrite the log keeping only the latest snapshot of each service
+   */
+  compact() {
+    return this.queue.run(async () => {
+      const lines = [];
+      for (const [name, snapshot] of await this._latest()) {
+        lines.push(JSON.stringify({ name, time: Date.now(), snapshot }) + '\n');
+      }
+      await writeAtomic(this.path, lines.join(''));
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _latest() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    const latest = new Map();
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      latest.set(entry.name, entry.snapshot);
+    }
+    return latest;
+  }
+}
+
+/**
+ * Write a file through a temporary sibling and a rename
+ * @param {string} path
+ * @param {string} data
+ */
+export async function writeAtomic(path, data) {
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, path);
+}
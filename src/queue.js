@@ -0,0 +1,236 @@
+import { performance } from 'perf_hooks';
+
+/**
+ * MessageQueue - A worker's mailbox ordered by priority
+ *
+ * A binary heap keeps push/shift/remove at O(log n). Items are ordered by
+ * rank = enqueue time - priority * agingInterval, so every agingInterval ms
+ * a message waits is worth one priority level: urgent messages overtake
+ * bulk ones, but low-priority work is never starved. Equal ranks fall back
+ * to arrival order, which keeps ordering stable within a priority.
+ *
+ * Messages carrying a partition key are parked per key and only the
+ * oldest one is in the heap, so a key's messages leave strictly in send
+ * order and never while another message of that key is in flight.
+ */
+export class MessageQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.agingInterval=1000] - Milliseconds of waiting worth one
+   *   priority level; Infinity for strict priority
+   */
+  constructor(options = {}) {
+    this.agingInterval = options.agingInterval ?? 1000;
+    this.heap = [];
+    this.parked = new Map();
+    this.activeKeys = new Set();
+    this.length = 0;
+    this.sequence = 0;
+  }
+
+  /**
+   * Add an item; item.priority (default 0, higher first) and item.key are read
+   * @param {Object} item
+   */
+  push(item) {
+    item.priority = item.priority ?? 0;
+    item.sequence = this.sequence++;
+    item.rank = Number.isFinite(this.agingInterval)
+      ? performance.now() - item.priority * this.agingInterval
+      : -item.priority;
+    this.length++;
+
+    if (item.key == null) {
+      this._heapPush(item);
+      return;
+    }
+
+    const pending = this.parked.get(item.key);
+    if (pending) {
+      pending.push(item);
+      return;
+    }
+
+    this.parked.set(item.key, [item]);
+    if (!this.activeKeys.has(item.key)) {
+      this._heapPush(item);
+    }
+  }
+
+  /**
+   * Take the next runnable item; its partition key stays busy until release()
+   * @returns {Object|undefined}
+   */
+  shift() {
+    if (this.heap.length === 0) {
+      return undefined;
+    }
+
+    const item = this._heapRemoveAt(0);
+    this.length--;
+    if (item.key != null) {
+      this._unpark(item);
+      this.activeKeys.add(item.key);
+    }
+    return item;
+  }
+
+  /**
+   * Mark a shifted item as finished, letting the next item of its key run
+   * @param {Object} item
+   */
+  release(item) {
+    if (item.key == null || !this.activeKeys.delete(item.key)) {
+      return;
+    }
+
+    const pending = this.parked.get(item.key);
+    if (pending) {
+      this._heapPush(pending[0]);
+    }
+  }
+
+  /**
+   * Remove a queued item
+   * @param {Object} item
+   * @returns {boolean} Whether the item was queued
+   */
+  remove(item) {
+    const inHeap = this.heap[item.heapIndex] === item;
+    const pending = item.key == null ? null : this.parked.get(item.key);
+    const parkedIndex = pending ? pending.indexOf(item) : -1;
+    if (!inHeap && parkedIndex === -1) {
+      return false;
+    }
+
+    if (inHeap) {
+      this._heapRemoveAt(item.heapIndex);
+    }
+    if (parkedIndex !== -1) {
+      this._unpark(item);
+      // The key's next item takes over its place in the heap
+      const next = this.parked.get(item.key);
+      if (inHeap && next) {
+        this._heapPush(next[0]);
+      }
+    }
+    this.length--;
+    return true;
+  }
+
+  /**
+   * Remove every queued item; in-flight keys stay busy until released
+   * @returns {Object[]} The removed items
+   */
+  clear() {
+    const items = new Set(this.heap);
+    for (const pending of this.parked.values()) {
+      pending.forEach((item) => items.add(item));
+    }
+    for (const item of this.heap) {
+      item.heapIndex = -1;
+    }
+    this.heap = [];
+    this.parked.clear();
+    this.length = 0;
+    return [...items].sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * The item that arrived first, whatever its priority
+   * The heap is ordered by rank, so this is a scan; each key's parked
+   * items are in arrival order, so only the first of each is a candidate.
+   * @returns {Object|undefined}
+   */
+  oldest() {
+    let oldest;
+    const candidates = [this.heap, Array.from(this.parked.values(), (pending) => pending[0])];
+    for (const item of candidates.flat()) {
+      if (!oldest || item.sequence < oldest.sequence) {
+        oldest = item;
+      }
+    }
+    return oldest;
+  }
+
+  /**
+   * @private
+   */
+  _unpark(item) {
+    const pending = this.parked.get(item.key);
+    pending.splice(pending.indexOf(item), 1);
+    if (pending.length === 0) {
+      this.parked.delete(item.key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _before(a, b) {
+    return a.rank < b.rank || (a.rank === b.rank && a.sequence < b.sequence);
+  }
+
+  /**
+   * @private
+   */
+  _heapPush(item) {
+    item.heapIndex = this.heap.length;
+    this.heap.push(item);
+    this._siftUp(item.heapIndex);
+  }
+
+  /**
+   * @private
+   */
+  _heapRemoveAt(index) {
+    const item = this.heap[index];
+    const last = this.heap.pop();
+    if (last !== item) {
+      this.heap[index] = last;
+      last.heapIndex = index;
+      this._siftDown(index);
+      this._siftUp(last.heapIndex);
+    }
+    item.heapIndex = -1;
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  _siftUp(index) {
+    const heap = this.heap;
+    const item = heap[index];
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this._before(item, heap[parent])) break;
+      heap[index] = heap[parent];
+      heap[index].heapIndex = index;
+      index = parent;
+    }
+    heap[index] = item;
+    item.heapIndex = index;
+  }
+
+  /**
+   * @private
+   */
+  _siftDown(index) {
+    const heap = this.heap;
+    const item = heap[index];
+    const length = heap.length;
+    for (;;) {
+      const left = 2 * index + 1;
+      if (left >= length) break;
+      const right = left + 1;
+      const child = right < length && this._before(heap[right], heap[left]) ? right : left;
+      if (!this._before(heap[child], item)) break;
+      heap[index] = heap[child];
+      heap[index].heapIndex = index;
+      index = child;
+    }
+    heap[index] = item;
+    item.heapIndex = index;
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * Timers for scheduled messages
+ *
+ * A Schedule calls its deliver function every so many milliseconds, on the
+ * minutes a cron expression matches, or once at a given time. Time comes
+ * from a clock with now(), setTimeout(fn, ms) and clearTimeout(timer), so
+ * tests can swap the system clock for a ManualClock.
+ */
+
+// setTimeout fires at once for delays that do not fit in 32 bits
+const MAX_DELAY = 2 ** 31 - 1;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * ManualClock - A clock that only moves when told to, for tests
+ */
+export class ManualClock {
+  /**
+   * @param {number|Date} [now=0] - Starting time
+   */
+  constructor(now = 0) {
+    this.time = now instanceof Date ? now.getTime() : now;
+    this.timers = [];
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(fn, ms) {
+    const timer = { id: this.nextId++, at: this.time + Math.max(0, ms), fn };
+    this.timers.push(timer);
+    return timer;
+  }
+
+  clearTimeout(timer) {
+    this.timers = this.timers.filter((t) => t !== timer);
+  }
+
+  /**
+   * Move time forward, firing due timers in order
+   * @param {number} ms
+   */
+  advance(ms) {
+    const target = this.time + ms;
+    for (;;) {
+      const due = this.timers
+        .filter((timer) => timer.at <= target)
+        .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+      if (!due) break;
+      this.clearTimeout(due);
+      this.time = due.at;
+      due.fn();
+    }
+    this.time = target;
+  }
+}
+
+/**
+ * Schedule - Calls deliver() on a timer until cancelled
+ */
+export class Schedule {
+  /**
+   * @param {Function} deliver - Called at each due time
+   * @param {Object} spec - Exactly one of:
+   * @param {number} [spec.every] - Milliseconds between deliveries
+   * @param {string} [spec.cron] - Five-field cron expression, in local time
+   * @param {Date|number} [spec.at] - Deliver once at this time
+   * @param {Object} [clock=systemClock]
+   */
+  constructor(deliver, spec, clock = systemClock) {
+    const kinds = ['every', 'cron', 'at'].filter((kind) => spec[kind] !== undefined);
+    if (kinds.length !== 1) {
+      throw new Error('Schedule needs exactly one of every, cron or at');
+    }
+    this.kind = kinds[0];
+    this.deliver = deliver;
+    this.clock = clock;
+    this.runs = 0;
+    this.timer = null;
+
+    const now = clock.now();
+    if (this.kind === 'every') {
+      if (!(spec.every > 0)) {
+        throw new Error(`Schedule interval must be a positive number of ms (got ${spec.every})`);
+      }
+      this.every = spec.every;
+      this.next = now + spec.every;
+    } else if (this.kind === 'cron') {
+      this.cron = parseCron(spec.cron);
+      this.next = nextCronTime(this.cron, now);
+    } else {
+      this.next = spec.at instanceof Date ? spec.at.getTime() : spec.at;
+      if (!Number.isFinite(this.next)) {
+        throw new Error(`Invalid schedule time: ${spec.at}`);
+      }
+    }
+    this._arm();
+  }
+
+  /**
+   * Whether more deliveries are coming
+   */
+  get active() {
+    return this.next !== null;
+  }
+
+  /**
+   * Stop delivering
+   */
+  cancel() {
+    this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    this.next = null;
+  }
+
+  /**
+   * @private
+   */
+  _arm() {
+    const delay = Math.min(Math.max(0, this.next - this.clock.now()), MAX_DELAY);
+    this.timer = this.clock.setTimeout(() => this._fire(), delay);
+  }
+
+  /**
+   * @private
+   */
+  _fire() {
+    this.timer = null;
+    if (this.next === null) {
+      return;
+    }
+    const now = this.clock.now();
+    if (now < this.next) {
+      // Part of a delay too long for one timer
+      this._arm();
+      return;
+    }
+
+    this.runs++;
+    if (this.kind === 'every') {
+      // Runs missed while the process was busy or asleep are skipped
+      this.next += this.every;
+      if (this.next <= now) {
+        this.next = now + this.every;
+      }
+    } else if (this.kind === 'cron') {
+      this.next = nextCronTime(this.cron, now);
+    } else {
+      this.next = null;
+    }
+    if (this.next !== null) {
+      this._arm();
+    }
+    this.deliver();
+  }
+}
+
+/**
+ * Parse a cron expression: minute, hour, day of month, month and day of
+ * week, each '*', a number or a range 'a-b', optionally stepped with '/n',
+ * or a comma-separated list of those; or one of @hourly, @daily, @weekly,
+ * @monthly and @yearly. Sunday is 0 or 7.
+ * @param {string} expression
+ * @returns {Object} Sets of allowed values per field
+ */
+export function parseCron(expression) {
+  const source = CRON_MACROS[expression] ?? expression;
+  const fields = typeof source === 'string' ? source.trim().split(/\s+/) : [];
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => {
+    return parseCronField(field, CRON_FIELDS[index], expression);
+  });
+  if (weekdays.values.has(7)) {
+    weekdays.values.add(0);
+  }
+  return {
+    expression,
+    minutes: minutes.values,
+    hours: hours.values,
+    days: days.values,
+    months: months.values,
+    weekdays: weekdays.values,
+    // Like cron, a restricted day of month and day of week match either
+    anyDay: days.wildcard || weekdays.wildcard
+  };
+}
+
+function parseCronField(field, { name, min, max }, expression) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron expression "${expression}": bad ${name} "${part}"`);
+    }
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = Number(match[2]);
+      to = match[3] !== undefined ? Number(match[3]) : match[4] !== undefined ? max : from;
+    }
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron expression "${expression}": ${name} "${part}" is out of range ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return { values, wildcard: field.startsWith('*') };
+}
+
+/**
+ * The first minute after a time that a parsed cron expression matches
+ * @param {Object} cron - Output of parseCron()
+ * @param {number} after - Milliseconds since the epoch
+ * @returns {number}
+ */
+export function nextCronTime(cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skipping whole months, days and hours keeps this to a few hundred steps
+  for (let steps = 0; steps < 100000; steps++) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    const dayOfMonth = cron.days.has(date.getDate());
+    const dayOfWeek = cron.weekdays.has(date.getDay());
+    if (cron.anyDay ? !(dayOfMonth && dayOfWeek) : !(dayOfMonth || dayOfWeek)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date.getTime();
+  }
+  throw new Error(`Cron expression "${cron.expression}" never matches`);
+}
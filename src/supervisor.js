@@ -0,0 +1,231 @@
+import { EventEmitter } from 'events';
+
+const STRATEGIES = ['one_for_one', 'one_for_all', 'rest_for_one'];
+
+/**
+ * Supervisor - Restarts crashed services, Erlang/OTP style
+ *
+ * Watches a ServiceRegistry for service:error and restarts the affected
+ * services according to a strategy:
+ * - one_for_one: restart only the crashed service
+ * - one_for_all: stop and restart every supervised service
+ * - rest_for_one: restart the crashed service and those listed after it
+ *
+ * Restarts are delayed with exponential backoff. If more than maxRestarts
+ * happen within period milliseconds the supervisor gives up: it stops its
+ * children and emits 'escalated'.
+ */
+export class Supervisor extends EventEmitter {
+  /**
+   * @param {ServiceRegistry} registry - The registry whose services are supervised
+   * @param {Object} [options]
+   * @param {string} [options.strategy='one_for_one'] - Restart strategy
+   * @param {string[]} [options.children] - Supervised services in start order
+   *   (defaults to every registered service, in registration order)
+   * @param {number} [options.maxRestarts=3] - Restarts allowed within the period
+   * @param {number} [options.period=5000] - Intensity window in milliseconds
+   * @param {Object} [options.backoff] - { initial = 100, factor = 2, max = 10000 } in milliseconds
+   */
+  constructor(registry, options = {}) {
+    super();
+    const strategy = options.strategy ?? 'one_for_one';
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown supervisor strategy: ${strategy}`);
+    }
+
+    this.registry = registry;
+    this.strategy = strategy;
+    this.children = options.children ?? null;
+    this.maxRestarts = options.maxRestarts ?? 3;
+    this.period = options.period ?? 5000;
+    this.backoff = { initial: 100, factor: 2, max: 10000, ...options.backoff };
+    this.state = 'stopped';
+    this.restarts = [];
+    this.timers = new Set();
+    this.queue = Promise.resolve();
+
+    this._onError = (e) => this._crashed(e.name);
+  }
+
+  /**
+   * Start the supervised services in order and begin watching them
+   */
+  async start() {
+    if (this.state === 'running') {
+      throw new Error('Supervisor is already running');
+    }
+
+    for (const name of this._children()) {
+      const worker = this.registry.get(name);
+      if (worker.state !== 'running') {
+        await worker.start();
+      }
+    }
+
+    this.state = 'running';
+    this.restarts = [];
+    this.registry.on('service:error', this._onError);
+    this.emit('started', { children: this._children() });
+    return true;
+  }
+
+  /**
+   * Stop watching; pending restarts are cancelled
+   * @param {Object} [options]
+   * @param {boolean} [options.stopChildren=false] - Also stop the supervised services
+   */
+  async stop(options = {}) {
+    this._detach();
+    this.state = 'stopped';
+    await this.queue;
+
+    if (options.stopChildren) {
+      await this._stopChildren(this._children());
+    }
+
+    this.emit('stopped', {});
+    return true;
+  }
+
+  /**
+   * Get the supervisor's state and recent restart count
+   */
+  getState() {
+    this._prune(Date.now());
+    return {
+      state: this.state,
+      strategy: this.strategy,
+      children: this._children(),
+      restarts: this.restarts.length
+    };
+  }
+
+  /**
+   * @private
+   */
+  _children() {
+    return this.children ?? this.registry.list();
+  }
+
+  /**
+   * @private
+   */
+  _detach() {
+    this.registry.off('service:error', this._onError);
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * @private
+   */
+  _prune(now) {
+    this.restarts = this.restarts.filter((time) => now - time < this.period);
+  }
+
+  /**
+   * Handle a crash: check intensity, then schedule the restart
+   * @private
+   */
+  _crashed(name) {
+    const children = this._children();
+    if (this.state !== 'running' || !children.includes(name)) {
+      return;
+    }
+
+    const now = Date.now();
+    this._prune(now);
+    if (this.restarts.length >= this.maxRestarts) {
+      this._escalate(name);
+      return;
+    }
+
+    const attempt = this.restarts.length + 1;
+    this.restarts.push(now);
+
+    const delay = Math.min(
+      this.backoff.initial * Math.pow(this.backoff.factor, attempt - 1),
+      this.backoff.max
+    );
+    this.emit('restarting', { name, strategy: this.strategy, attempt, delay });
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      // Restarts are serialized so overlapping crashes don't interleave
+      this.queue = this.queue.then(() => this._restart(name));
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Restart the crashed service and, depending on strategy, its siblings
+   * @private
+   */
+  async _restart(name) {
+    if (this.state !== 'running') return;
+
+    const worker = this.registry.get(name);
+    if (!worker || worker.state === 'running') return;
+
+    const children = this._children();
+    let group = [name];
+    if (this.strategy === 'one_for_all') {
+      group = children;
+    } else if (this.strategy === 'rest_for_one') {
+      group = children.slice(children.indexOf(name));
+    }
+
+    await this._stopChildren(group.filter((child) => child !== name));
+
+    for (const child of group) {
+      const w = this.registry.get(child);
+      if (!w || w.state === 'running') continue;
+      try {
+        await w.start();
+      } catch (error) {
+        // The failed start emits service:error, which schedules another attempt
+        return;
+      }
+    }
+
+    this.emit('restarted', { name, strategy: this.strategy, group });
+  }
+
+  /**
+   * Stop services in reverse start order
+   * @private
+   */
+  async _stopChildren(names) {
+    for (const name of [...names].reverse()) {
+      const worker = this.registry.get(name);
+      if (worker && worker.state === 'running') {
+        try {
+          await worker.stop();
+        } catch (error) {
+          // Already reported through service:error
+        }
+      }
+    }
+  }
+
+  /**
+   * Restart intensity exceeded: give up on the children
+   * @private
+   */
+  _escalate(name) {
+    this._detach();
+    this.state = 'failed';
+    this.queue = this.queue.then(() => this._stopChildren(this._children()));
+
+    const event = {
+      name,
+      restarts: this.restarts.length,
+      maxRestarts: this.maxRestarts,
+      period: this.period
+    };
+    this.emit('escalated', event);
+    this.registry.emit('supervisor:escalated', event);
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Topic matching for publish/subscribe
+ *
+ * Topics are dot-separated segments such as 'file.written'. Subscription
+ * patterns may use '*' for exactly one segment and '#' for zero or more:
+ * 'file.*' matches 'file.written' but not 'file.meta.changed', which
+ * 'file.#' does.
+ */
+
+/**
+ * Check a published topic
+ * @param {string} topic
+ * @returns {string[]} Its segments
+ */
+export function parseTopic(topic) {
+  const segments = typeof topic === 'string' ? topic.split('.') : [];
+  if (segments.length === 0 || segments.some((segment) => segment === '' || segment === '*' || segment === '#')) {
+    throw new Error(`Invalid topic: ${topic}`);
+  }
+  return segments;
+}
+
+/**
+ * Check a subscription pattern
+ * @param {string} pattern
+ * @returns {string[]} Its segments
+ */
+export function parsePattern(pattern) {
+  const segments = typeof pattern === 'string' ? pattern.split('.') : [];
+  if (segments.length === 0 || segments.some((segment) => segment === '')) {
+    throw new Error(`Invalid subscription pattern: ${pattern}`);
+  }
+  return segments;
+}
+
+/**
+ * @param {string[]} pattern - Segments of a subscription pattern
+ * @param {string[]} topic - Segments of a published topic
+ * @returns {boolean}
+ */
+export function matchTopic(pattern, topic, p = 0, t = 0) {
+  if (p === pattern.length) {
+    return t === topic.length;
+  }
+  if (pattern[p] === '#') {
+    // Consume zero or more topic segments
+    for (let skip = t; skip <= topic.length; skip++) {
+      if (matchTopic(pattern, topic, p + 1, skip)) return true;
+    }
+    return false;
+  }
+  if (t === topic.length) {
+    return false;
+  }
+  return (pattern[p] === '*' || pattern[p] === topic[t]) && matchTopic(pattern, topic, p + 1, t + 1);
+}
@@ -0,0 +1,129 @@
+import { appendFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { WriteQueue } from './util.js';
+
+/**
+ * Tracing for messages crossing services
+ *
+ * Every message carries a { traceId, spanId } context. A message sent from
+ * inside a handler through meta.call() joins its caller's trace as a child
+ * of the caller's handler span. With an exporter configured, each message
+ * produces two spans:
+ * - '<service> queue' - from send() until a handler slot takes it
+ * - '<service> handle' - the middleware and handler run
+ *
+ * Span records are { traceId, spanId, parentSpanId, name, kind, service,
+ * messageId, startTime, endTime, error, attributes } with times in
+ * milliseconds since the epoch, kind 'queue' or 'handler', and error
+ * { name, message } or null. An exporter implements:
+ * - export(spans) - receive finished spans; may return a promise
+ * - shutdown() - optional; flush anything buffered
+ */
+
+export function newTraceId() {
+  return randomBytes(16).toString('hex');
+}
+
+export function newSpanId() {
+  return randomBytes(8).toString('hex');
+}
+
+/**
+ * InMemoryExporter - Keeps finished spans in an array, for tests
+ */
+export class InMemoryExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  export(spans) {
+    this.spans.push(...spans);
+  }
+
+  /**
+   * Forget the spans collected so far
+   */
+  reset() {
+    this.spans = [];
+  }
+}
+
+/**
+ * OtlpJsonFileExporter - Appends spans to a file as OTLP/JSON lines
+ *
+ * Each export() writes one ExportTraceServiceRequest per line, with one
+ * resource per service, the format read by the OpenTelemetry Collector's
+ * file receivers.
+ */
+export class OtlpJsonFileExporter {
+  /**
+   * @param {string} path - JSON-lines file to append to
+   */
+  constructor(path) {
+    this.path = path;
+    this.queue = new WriteQueue();
+  }
+
+  export(spans) {
+    const line = JSON.stringify(toOtlp(spans)) + '\n';
+    return this.queue.run(() => appendFile(this.path, line));
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async shutdown() {
+    await this.queue.idle();
+  }
+}
+
+/**
+ * Convert span records to an OTLP ExportTraceServiceRequest
+ * @param {Object[]} spans
+ * @returns {Object}
+ */
+export function toOtlp(spans) {
+  const byService = new Map();
+  for (const span of spans) {
+    if (!byService.has(span.service)) {
+      byService.set(span.service, []);
+    }
+    byService.get(span.service).push(span);
+  }
+
+  return {
+    resourceSpans: [...byService].map(([service, serviceSpans]) => ({
+      resource: { attributes: attributes({ 'service.name': service }) },
+      scopeSpans: [{
+        scope: { name: 'eiasw' },
+        spans: serviceSpans.map((span) => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          // SPAN_KIND_INTERNAL for the mailbox, SPAN_KIND_SERVER for the handler
+          kind: span.kind === 'queue' ? 1 : 2,
+          startTimeUnixNano: nanos(span.startTime),
+          endTimeUnixNano: nanos(span.endTime),
+          attributes: attributes(span.attributes),
+          status: span.error
+            ? { code: 2, message: `${span.error.name}: ${span.error.message}` }
+            : { code: 1 }
+        }))
+      }]
+    }))
+  };
+}
+
+function attributes(values) {
+  return Object.entries(values).map(([key, value]) => ({
+    key,
+    value: Number.isInteger(value)
+      ? { intValue: String(value) }
+      : typeof value === 'number' ? { doubleValue: value } : { stringValue: String(value) }
+  }));
+}
+
+function nanos(milliseconds) {
+  return (BigInt(Math.floor(milliseconds * 1000)) * 1000n).toString();
+}
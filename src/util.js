@@ -0,0 +1,42 @@
+/**
+ * Small helpers shared across modules
+ */
+
+/**
+ * WriteQueue - Runs file operations one at a time, in the order queued
+ *
+ * A failed operation rejects its own caller without holding up the
+ * operations queued after it.
+ */
+export class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * @param {Function} operation - Async function to run once earlier ones settle
+   * @returns {Promise} Settles as the operation does
+   */
+  run(operation) {
+    const result = this.tail.then(operation);
+    this.tail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Resolves once everything queued so far has settled
+   * @returns {Promise<void>}
+   */
+  idle() {
+    return this.tail;
+  }
+}
+
+/**
+ * A plain JSON object: not null and not an array
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,303 @@
+/**
+ * A small YAML reader for manifests
+ *
+ * Covers the block style configuration files use: nested mappings and
+ * sequences by indentation, plain and quoted scalars, flow collections
+ * on one line ([a, b], {a: 1}), literal (|) and folded (>) block scalars
+ * and comments. Anchors, tags and multiple documents are not supported.
+ * Errors name the line they are on.
+ */
+
+/**
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseYaml(text) {
+  const lines = [];
+  const source = text.replace(/^﻿/, '').split(/\r?\n/);
+  source.forEach((raw, index) => {
+    const number = index + 1;
+    const indent = raw.length - raw.trimStart().length;
+    if (raw.slice(0, indent).includes('\t')) {
+      throw new SyntaxError(`Line ${number}: tabs are not allowed in indentation`);
+    }
+    const content = stripComment(raw).trim();
+    if (content === '' || (lines.length === 0 && content === '---')) {
+      return;
+    }
+    if (content === '---' || content === '...') {
+      throw new SyntaxError(`Line ${number}: only one document is supported`);
+    }
+    lines.push({ number, indent, content, raw });
+  });
+
+  const parser = new BlockParser(lines);
+  if (lines.length === 0) {
+    return null;
+  }
+  const value = parser.node(lines[0].indent);
+  if (parser.line) {
+    throw new SyntaxError(`Line ${parser.line.number}: unexpected indentation`);
+  }
+  return value;
+}
+
+class BlockParser {
+  constructor(lines) {
+    this.lines = lines;
+    this.index = 0;
+  }
+
+  get line() {
+    return this.lines[this.index];
+  }
+
+  node(indent) {
+    return isSequenceItem(this.line.content) ? this.sequence(indent) : this.mapping(indent);
+  }
+
+  mapping(indent) {
+    const result = {};
+    while (this.line && this.line.indent === indent && !isSequenceItem(this.line.content)) {
+      const line = this.line;
+      const [key, rest] = splitKey(line);
+      if (Object.hasOwn(result, key)) {
+        throw new SyntaxError(`Line ${line.number}: duplicate key "${key}"`);
+      }
+      this.index++;
+      result[key] = this.value(rest, line, indent, true);
+    }
+    if (this.line && this.line.indent > indent) {
+      throw new SyntaxError(`Line ${this.line.number}: unexpected indentation`);
+    }
+    return result;
+  }
+
+  sequence(indent) {
+    const result = [];
+    while (this.line && this.line.indent === indent && isSequenceItem(this.line.content)) {
+      const line = this.line;
+      const rest = line.content.slice(1).trimStart();
+      if (rest !== '' && (isSequenceItem(rest) || findKeySeparator(rest) !== -1)) {
+        // "- key: value" or "- - item" opens a nested node on the same line
+        this.lines[this.index] = {
+          ...line,
+          indent: indent + line.content.length - rest.length,
+          content: rest
+        };
+        result.push(this.node(this.line.indent));
+        continue;
+      }
+      this.index++;
+      result.push(this.value(rest, line, indent, false));
+    }
+    if (this.line && this.line.indent > indent) {
+      throw new SyntaxError(`Line ${this.line.number}: unexpected indentation`);
+    }
+    return result;
+  }
+
+  /**
+   * The value after "key:" or "-": inline, a block scalar, or a nested node
+   * @private
+   */
+  value(rest, line, indent, inMapping) {
+    if (/^[|>][+-]?$/.test(rest)) {
+      return this.blockScalar(rest, indent);
+    }
+    if (rest !== '') {
+      return parseFlow(rest, line.number);
+    }
+    const next = this.line;
+    if (next && next.indent > indent) {
+      return this.node(next.indent);
+    }
+    // A mapping's sequence value may sit at the key's own indentation
+    if (inMapping && next && next.indent === indent && isSequenceItem(next.content)) {
+      return this.sequence(indent);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  blockScalar(header, indent) {
+    const body = [];
+    let blockIndent = null;
+    while (this.line && this.line.indent > indent) {
+      blockIndent ??= this.line.indent;
+      body.push({ number: this.line.number, raw: this.line.raw });
+      this.index++;
+    }
+    // Blank lines were dropped while reading; restore them from the line numbers
+    const text = [];
+    body.forEach((entry, i) => {
+      if (i > 0) {
+        for (let n = body[i - 1].number + 1; n < entry.number; n++) text.push('');
+      }
+      text.push(entry.raw.slice(blockIndent));
+    });
+
+    const folded = header[0] === '>'
+      ? text.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : text.join('\n');
+    if (header[1] === '-') return folded;
+    return folded + '\n';
+  }
+}
+
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+function stripComment(raw) {
+  let quote = null;
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+      return raw.slice(0, i);
+    }
+  }
+  return raw;
+}
+
+/**
+ * Index of the ": " (or final ":") that ends a key, outside quotes and brackets
+ */
+function findKeySeparator(content) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && (i === 0 || depth > 0)) {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ':' && depth === 0 && (i === content.length - 1 || content[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function splitKey(line) {
+  const separator = findKeySeparator(line.content);
+  if (separator === -1) {
+    throw new SyntaxError(`Line ${line.number}: expected "key: value"`);
+  }
+  const key = line.content.slice(0, separator).trim();
+  const parsed = parseFlow(key, line.number);
+  return [String(parsed), line.content.slice(separator + 1).trim()];
+}
+
+/**
+ * Parse a one-line flow value: a scalar or a [ ] / { } collection
+ */
+function parseFlow(text, number) {
+  let position = 0;
+  const fail = (message) => {
+    throw new SyntaxError(`Line ${number}: ${message}`);
+  };
+  const skipSpace = () => {
+    while (text[position] === ' ') position++;
+  };
+
+  const value = (terminators) => {
+    skipSpace();
+    const char = text[position];
+    if (char === '[') {
+      position++;
+      const items = [];
+      skipSpace();
+      if (text[position] === ']') {
+        position++;
+        return items;
+      }
+      for (;;) {
+        items.push(value(',]'));
+        skipSpace();
+        const next = text[position++];
+        if (next === ']') return items;
+        if (next !== ',') fail('expected "," or "]"');
+      }
+    }
+    if (char === '{') {
+      position++;
+      const object = {};
+      skipSpace();
+      if (text[position] === '}') {
+        position++;
+        return object;
+      }
+      for (;;) {
+        const key = String(value(':,}'));
+        skipSpace();
+        if (text[position] !== ':') fail(`expected ":" after "${key}"`);
+        position++;
+        object[key] = value(',}');
+        skipSpace();
+        const next = text[position++];
+        if (next === '}') return object;
+        if (next !== ',') fail('expected "," or "}"');
+      }
+    }
+    if (char === '"' || char === "'") {
+      return quoted(char);
+    }
+    const start = position;
+    while (position < text.length && !terminators.includes(text[position])) position++;
+    return scalar(text.slice(start, position).trim());
+  };
+
+  const quoted = (quote) => {
+    const start = position++;
+    while (position < text.length) {
+      if (quote === '"' && text[position] === '\\') {
+        position += 2;
+      } else if (text[position] === quote) {
+        if (quote === "'" && text[position + 1] === "'") {
+          position += 2;
+          continue;
+        }
+        position++;
+        const body = text.slice(start, position);
+        if (quote === "'") return body.slice(1, -1).replace(/''/g, "'");
+        try {
+          return JSON.parse(body);
+        } catch {
+          fail(`invalid escape in ${body}`);
+        }
+      } else {
+        position++;
+      }
+    }
+    return fail('unterminated string');
+  };
+
+  const result = value('');
+  skipSpace();
+  if (position < text.length) {
+    fail(`unexpected "${text.slice(position)}"`);
+  }
+  return result;
+}
+
+function scalar(text) {
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
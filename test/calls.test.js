@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  ServiceRegistry,
+  ServiceWorker,
+  CallCycleError,
+  MessageTimeoutError,
+  MessageAbortError
+} from '../src/index.js';
+import { sleep } from './helpers.js';
+
+test('Calls: handlers call other services and pass their identity', async (t) => {
+  const registry = new ServiceRegistry();
+  const callers = [];
+  registry.use(async (ctx, next) => {
+    callers.push(`${ctx.caller}->${ctx.service}`);
+    await next();
+  });
+  registry.register('db', {
+    onMessage: async (message, context, { caller }) => ({ rows: [message.query], caller })
+  });
+  registry.register('api', {
+    onMessage: async (message, context, { call, caller }) => {
+      const result = await call('db', { query: message.path });
+      return { ...result, apiCaller: caller };
+    }
+  });
+  await registry.startAll();
+
+  assert.deepStrictEqual(await registry.send('api', { path: '/users' }), {
+    rows: ['/users'],
+    caller: 'api',
+    apiCaller: undefined
+  });
+  assert.deepStrictEqual(callers, ['null->api', 'api->db']);
+  await registry.stopAll();
+});
+
+test('Calls: a serial service calling itself fails fast', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('recursive', {
+    onMessage: async (n, context, { call }) => (n === 0 ? 0 : 1 + await call('recursive', n - 1))
+  });
+  await registry.start('recursive');
+
+  await assert.rejects(registry.send('recursive', 2, { timeout: 1000 }), (error) => {
+    assert.ok(error instanceof CallCycleError);
+    assert.strictEqual(error.code, 'ECALLCYCLE');
+    assert.strictEqual(error.service, 'recursive');
+    assert.deepStrictEqual(error.chain, ['recursive', 'recursive']);
+    assert.strictEqual(error.message, 'Call to recursive would deadlock: recursive -> recursive');
+    return true;
+  });
+  // The mailbox is not stuck
+  assert.strictEqual(await registry.send('recursive', 0), 0);
+  await registry.stop('recursive');
+});
+
+test('Calls: indirect cycles are reported with the whole chain', async (t) => {
+  const registry = new ServiceRegistry();
+  let caught;
+  registry.register('a', { onMessage: async (message, context, { call }) => call('b', message) });
+  registry.register('b', { onMessage: async (message, context, { call }) => call('c', message) });
+  registry.register('c', {
+    onMessage: async (message, context, { call }) => {
+      try {
+        return await call('a', message);
+      } catch (error) {
+        caught = error;
+        return 'fallback';
+      }
+    }
+  });
+  await registry.startAll();
+
+  assert.strictEqual(await registry.send('a', 'ping', { timeout: 1000 }), 'fallback');
+  assert.deepStrictEqual(caught.chain, ['a', 'b', 'c', 'a']);
+  assert.match(caught.message, /Call to a would deadlock: a -> b -> c -> a/);
+  await registry.stopAll();
+});
+
+test('Calls: spare concurrency allows re-entry until the slots run out', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('tree', {
+    onMessage: async (depth, context, { call }) => (depth === 0 ? 'leaf' : call('tree', depth - 1))
+  }, { concurrency: 3 });
+  await registry.start('tree');
+
+  assert.strictEqual(await registry.send('tree', 2), 'leaf');
+  await assert.rejects(registry.send('tree', 3), (error) => {
+    assert.deepStrictEqual(error.chain, ['tree', 'tree', 'tree', 'tree']);
+    return true;
+  });
+  await registry.stop('tree');
+});
+
+test('Calls: a partition key held by the chain counts as taken', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('accounts', {
+    onMessage: async ({ account, then }, context, { call }) => {
+      return then ? call('accounts', { account: then }) : account;
+    }
+  }, { concurrency: 4, partitionKey: (message) => message.account });
+  await registry.start('accounts');
+
+  assert.strictEqual(await registry.send('accounts', { account: 'a', then: 'b' }), 'b');
+  await assert.rejects(registry.send('accounts', { account: 'a', then: 'a' }), CallCycleError);
+  await registry.stop('accounts');
+});
+
+test('Calls: cancelling the outer message cancels nested calls', async (t) => {
+  const registry = new ServiceRegistry();
+  let nestedReason;
+  registry.register('slow', {
+    onMessage: (message, context, { signal }) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => {
+        nestedReason = signal.reason;
+        resolve();
+      });
+    })
+  });
+  registry.register('front', {
+    onMessage: async (message, context, { call }) => call('slow', message)
+  });
+  await registry.startAll();
+
+  await assert.rejects(registry.send('front', 'x', { timeout: 20 }), MessageTimeoutError);
+  await sleep(10);
+  assert.ok(nestedReason instanceof MessageAbortError);
+  await registry.stopAll();
+});
+
+test('Calls: only registered workers get call()', async (t) => {
+  const worker = new ServiceWorker('alone', {
+    onMessage: async (message, context, meta) => typeof meta.call
+  });
+  await worker.start();
+  assert.strictEqual(await worker.send('x'), 'undefined');
+  await worker.stop();
+
+  const registry = new ServiceRegistry();
+  registry.register('caller', {
+    onMessage: async (message, context, { call }) => call('missing', message)
+  });
+  await registry.start('caller');
+  await assert.rejects(registry.send('caller', 'x'), /Service missing is not registered/);
+  await registry.stop('caller');
+});
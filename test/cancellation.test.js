@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  ServiceWorker,
+  ServiceRegistry,
+  MessageTimeoutError,
+  MessageAbortError
+} from '../src/index.js';
+import { sleep } from './helpers.js';
+
+test('Cancellation: send rejects with MessageTimeoutError', async (t) => {
+  const worker = new ServiceWorker('slow', {
+    onMessage: async () => {
+      await sleep(50);
+      return 'late';
+    }
+  });
+  await worker.start();
+
+  await assert.rejects(worker.send({}, { timeout: 5 }), (error) => {
+    assert.ok(error instanceof MessageTimeoutError);
+    assert.strictEqual(error.code, 'ETIMEDOUT');
+    assert.strictEqual(error.service, 'slow');
+    assert.strictEqual(error.timeout, 5);
+    return true;
+  });
+
+  // Messages that finish in time are unaffected
+  assert.strictEqual(await worker.send({}, { timeout: 1000 }), 'late');
+  await worker.stop();
+});
+
+test('Cancellation: timed out messages are removed from the queue', async (t) => {
+  const handled = [];
+  const worker = new ServiceWorker('queue', {
+    onMessage: async (message) => {
+      await sleep(20);
+      handled.push(message.id);
+      return message.id;
+    }
+  });
+  await worker.start();
+
+  const first = worker.send({ id: 1 });
+  const second = worker.send({ id: 2 }, { timeout: 5 });
+  const third = worker.send({ id: 3 });
+  assert.strictEqual(worker.getState().queueLength, 2);
+
+  await assert.rejects(second, MessageTimeoutError);
+  assert.strictEqual(worker.getState().queueLength, 1);
+
+  assert.deepStrictEqual(await Promise.all([first, third]), [1, 3]);
+  assert.deepStrictEqual(handled, [1, 3]);
+  await worker.stop();
+});
+
+test('Cancellation: AbortSignal cancels queued and pre-aborted messages', async (t) => {
+  const handled = [];
+  const worker = new ServiceWorker('abortable', {
+    onMessage: async (message) => {
+      await sleep(10);
+      handled.push(message.id);
+    }
+  });
+  await worker.start();
+
+  const aborted = AbortSignal.abort('no thanks');
+  await assert.rejects(worker.send({ id: 0 }, { signal: aborted }), (error) => {
+    assert.ok(error instanceof MessageAbortError);
+    assert.strictEqual(error.cause, 'no thanks');
+    return true;
+  });
+
+  const controller = new AbortController();
+  const first = worker.send({ id: 1 });
+  const second = worker.send({ id: 2 }, { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(second, MessageAbortError);
+  await first;
+  assert.deepStrictEqual(handled, [1]);
+  await worker.stop();
+});
+
+test('Cancellation: handlers receive a signal for work in flight', async (t) => {
+  let observed;
+  const registry = new ServiceRegistry();
+  registry.register('cooperative', {
+    onMessage: async (message, context, { id, signal }) => {
+      assert.strictEqual(typeof id, 'string');
+      await new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+      observed = signal.reason;
+      return 'stopped early';
+    }
+  });
+  await registry.start('cooperative');
+
+  const controller = new AbortController();
+  const pending = registry.send('cooperative', {}, { signal: controller.signal });
+  await sleep(1);
+  controller.abort();
+
+  await assert.rejects(pending, MessageAbortError);
+  await sleep(1);
+  assert.ok(observed instanceof MessageAbortError);
+
+  // The mailbox keeps working after a cancellation
+  const timed = registry.send('cooperative', {}, { timeout: 5 });
+  await assert.rejects(timed, MessageTimeoutError);
+  await sleep(1);
+  assert.ok(observed instanceof MessageTimeoutError);
+
+  await registry.stop('cooperative');
+});
@@ -0,0 +1,240 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import net from 'net';
+import { writeFile, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ServiceRegistry } from '../src/index.js';
+import { ControlServer, ControlClient } from '../src/control.js';
+import { main } from '../src/cli.js';
+import { sleep, tempDir } from './helpers.js';
+
+const BIN = fileURLToPath(new URL('../bin/eiasw.js', import.meta.url));
+const COUNTER = fileURLToPath(new URL('./fixtures/counter-service.js', import.meta.url));
+
+function capture() {
+  const io = { out: '', err: '' };
+  io.stdout = { write: (text) => { io.out += text; } };
+  io.stderr = { write: (text) => { io.err += text; } };
+  return io;
+}
+
+async function serve(t) {
+  const dir = await tempDir(t);
+  const socket = join(dir, 'eiasw.sock');
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onStart: async (context) => { context.count = 0; },
+    onMessage: async (message, context) => {
+      if (message.op === 'fail') throw new Error('handler failed');
+      return ++context.count;
+    },
+    onHealth: async () => true
+  });
+  registry.register('idle', { onMessage: async () => {} });
+  const server = new ControlServer(registry);
+  await server.listen(socket);
+  await registry.start('counter');
+  t.after(async () => {
+    await server.close();
+    await registry.stopAll();
+  });
+  return { registry, server, socket, client: new ControlClient(socket) };
+}
+
+test('Control: commands over the socket', async (t) => {
+  const { registry, client } = await serve(t);
+
+  assert.strictEqual(await client.request('send', { name: 'counter', message: {} }), 1);
+  await assert.rejects(client.request('send', { name: 'counter', message: { op: 'fail' } }), /handler failed/);
+  await assert.rejects(client.request('send', { name: 'nope', message: {} }), /Service nope is not registered/);
+  await assert.rejects(client.request('dance'), /Unknown command: dance/);
+
+  registry.register('odd', {
+    onMessage: async (message) => {
+      if (message === 'bigint') return 10n;
+      const circular = {};
+      circular.self = circular;
+      return circular;
+    }
+  });
+  await registry.start('odd');
+  await assert.rejects(client.request('send', { name: 'odd', message: 'bigint' }), /not JSON-serializable: .*BigInt/);
+  await assert.rejects(client.request('send', { name: 'odd', message: 'circular' }), /not JSON-serializable: .*circular/);
+  assert.strictEqual(await client.request('send', { name: 'counter', message: {} }), 2);
+  await registry.unregister('odd');
+
+  await client.request('start', { name: 'idle' });
+  await client.request('restart', { name: 'counter' });
+  await client.request('stop', { name: 'idle', mode: 'drain' });
+  assert.strictEqual(registry.get('idle').state, 'stopped');
+
+  const status = await client.request('status');
+  assert.deepStrictEqual(status.map((s) => [s.name, s.state, s.health]), [
+    ['counter', 'running', 'healthy'],
+    ['idle', 'stopped', null]
+  ]);
+  assert.strictEqual(status[0].restarts, 1);
+  assert.strictEqual(status[0].failed, 1);
+  assert.ok(!('context' in status[0]));
+});
+
+test('Control: logs record service events and can be followed', async (t) => {
+  const { registry, server, client } = await serve(t);
+
+  const logged = [];
+  await client.request('logs', {}, (entry) => logged.push(`${entry.event} ${entry.service}`));
+  assert.deepStrictEqual(logged, ['service:started counter']);
+
+  const followed = [];
+  const following = client.request('logs', { follow: true, limit: 1 }, (entry) => followed.push(entry.event));
+  await sleep(20);
+  await registry.stop('counter');
+  await sleep(20);
+  assert.deepStrictEqual(followed, ['service:started', 'service:stopped']);
+
+  // The follow ends when the daemon goes away
+  await server.close();
+  assert.strictEqual(await following, undefined);
+});
+
+test('Control: a daemon that goes away mid-request fails the request', async (t) => {
+  const dir = await tempDir(t);
+  const socket = join(dir, 'eiasw.sock');
+  const server = net.createServer((connection) => connection.on('data', () => connection.destroy()));
+  await new Promise((resolve) => server.listen(socket, resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  await assert.rejects(new ControlClient(socket).request('send', { name: 'counter', message: {} }), /closed the connection before answering/);
+  const io = capture();
+  assert.strictEqual(await main(['send', 'counter', '{}', '--socket', socket], io), 1);
+  assert.match(io.err, /closed the connection before answering/);
+});
+
+test('CLI: tables, JSON and errors', async (t) => {
+  const { socket } = await serve(t);
+
+  let io = capture();
+  assert.strictEqual(await main(['send', 'counter', '{"op":"add"}', '--socket', socket], io), 0);
+  assert.strictEqual(io.out, '1\n');
+
+  io = capture();
+  assert.strictEqual(await main(['status', '--socket', socket], io), 0);
+  const [header, counter, idle] = io.out.trim().split('\n');
+  assert.match(header, /^NAME\s+STATE\s+HEALTH\s+QUEUE\s+IN-FLIGHT\s+RECEIVED\s+FAILED\s+RESTARTS\s+UPTIME$/);
+  assert.match(counter, /^counter\s+running\s+healthy\s+0\s+0\s+1\s+0\s+0\s+\d+s$/);
+  assert.match(idle, /^idle\s+stopped\s+-\s+0\s+0\s+0\s+0\s+0\s+-$/);
+  assert.strictEqual(header.indexOf('STATE'), counter.indexOf('running'));
+
+  io = capture();
+  assert.strictEqual(await main(['status', 'idle', '--json', '--socket', socket], io), 0);
+  assert.deepStrictEqual(JSON.parse(io.out).map((s) => s.name), ['idle']);
+
+  io = capture();
+  assert.strictEqual(await main(['start', 'idle', '--json', '--socket', socket], io), 0);
+  assert.deepStrictEqual(JSON.parse(io.out), { name: 'idle', ok: true });
+
+  io = capture();
+  assert.strictEqual(await main(['send', 'counter', '{oops', '--socket', socket], io), 1);
+  assert.match(io.err, /^eiasw: Message is not valid JSON/);
+
+  io = capture();
+  assert.strictEqual(await main(['logs', '--json', '--socket', socket], io), 0);
+  const entries = io.out.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepStrictEqual(entries.map((e) => e.event), ['service:started', 'service:started']);
+});
+
+test('CLI: usage errors and a missing daemon', async (t) => {
+  let io = capture();
+  assert.strictEqual(await main([], io), 2);
+  assert.match(io.err, /Usage: eiasw <command>/);
+
+  io = capture();
+  assert.strictEqual(await main(['--help'], io), 0);
+  assert.match(io.out, /Usage: eiasw <command>/);
+
+  io = capture();
+  assert.strictEqual(await main(['send', 'counter'], io), 2);
+  assert.match(io.err, /Wrong number of arguments for send/);
+
+  io = capture();
+  assert.strictEqual(await main(['frobnicate'], io), 2);
+  assert.match(io.err, /Unknown command: frobnicate/);
+
+  io = capture();
+  assert.strictEqual(await main(['send', 'x', '{}', '--timeout', 'soon'], io), 2);
+  assert.match(io.err, /--timeout must be a number/);
+
+  io = capture();
+  const missing = join(tmpdir(), `eiasw-missing-${process.pid}.sock`);
+  assert.strictEqual(await main(['status', '--socket', missing], io), 1);
+  assert.match(io.err, /No eiasw daemon is listening on/);
+});
+
+test('CLI: run hosts a manifest until signalled', async (t) => {
+  const dir = await tempDir(t);
+  const manifest = join(dir, 'eiasw.json');
+  const socket = join(dir, 'eiasw.sock');
+  await writeFile(manifest, JSON.stringify({
+    services: {
+      counter: { module: COUNTER },
+      echo: { module: COUNTER, export: 'named', dependsOn: ['counter'], options: { concurrency: 2 } }
+    }
+  }));
+
+  const child = spawn(process.execPath, [BIN, 'run', manifest, '--socket', socket], { stdio: ['ignore', 'pipe', 'pipe'] });
+  t.after(() => child.kill());
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  const exited = new Promise((resolve) => child.on('exit', resolve));
+  for (let i = 0; i < 100 && !output.includes('daemon:listening'); i++) {
+    await sleep(50);
+  }
+  assert.match(output, /service:started counter\n.*service:started echo\n.*daemon:listening/s);
+
+  let io = capture();
+  assert.strictEqual(await main(['send', 'counter', '{"op":"increment"}', '--socket', socket], io), 0);
+  assert.strictEqual(io.out, '1\n');
+  io = capture();
+  assert.strictEqual(await main(['send', 'echo', '"hi"', '--socket', socket], io), 0);
+  assert.strictEqual(io.out, '"named:hi"\n');
+
+  // A second daemon refuses the socket that is in use
+  io = capture();
+  assert.strictEqual(await main(['run', manifest, '--socket', socket], io), 1);
+  assert.match(io.err, /already listening/);
+
+  child.kill('SIGTERM');
+  assert.strictEqual(await exited, 0);
+  assert.match(output, /daemon:stopping/);
+  await assert.rejects(access(socket), { code: 'ENOENT' });
+});
+
+test('CLI: run stops the started services when another fails to start', async (t) => {
+  const dir = await tempDir(t);
+  const manifest = join(dir, 'eiasw.json');
+  await writeFile(join(dir, 'bad.mjs'), `export default {
+  async onStart() { throw new Error('boom'); },
+  async onMessage() {}
+};
+`);
+  await writeFile(manifest, JSON.stringify({
+    services: {
+      ok: { module: COUNTER },
+      bad: { module: './bad.mjs', dependsOn: ['ok'] }
+    }
+  }));
+
+  const child = spawn(process.execPath, [BIN, 'run', manifest, '--socket', join(dir, 'eiasw.sock')], { stdio: ['ignore', 'pipe', 'pipe'] });
+  t.after(() => child.kill());
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  let errors = '';
+  child.stderr.on('data', (chunk) => { errors += chunk; });
+
+  assert.strictEqual(await new Promise((resolve) => child.on('exit', resolve)), 1);
+  assert.match(errors, /eiasw: .*boom/);
+  assert.match(output, /service:started ok\n.*service:stopped ok/s);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceWorker, ServiceRegistry } from '../src/index.js';
+import { sleep } from './helpers.js';
+
+test('Concurrency: default is one message at a time', async (t) => {
+  let active = 0;
+  let peak = 0;
+  const finished = [];
+  const worker = new ServiceWorker('serial', {
+    onMessage: async (message) => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(5);
+      active--;
+      finished.push(message.id);
+    }
+  });
+  await worker.start();
+
+  await Promise.all([1, 2, 3, 4].map((id) => worker.send({ id })));
+  assert.strictEqual(peak, 1);
+  assert.deepStrictEqual(finished, [1, 2, 3, 4]);
+  await worker.stop();
+});
+
+test('Concurrency: runs up to N handlers in parallel', async (t) => {
+  let active = 0;
+  let peak = 0;
+  const worker = new ServiceWorker('parallel', {
+    onMessage: async (message) => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(5);
+      active--;
+      return message.id;
+    }
+  }, { concurrency: 3 });
+  await worker.start();
+
+  const pending = [1, 2, 3, 4, 5, 6].map((id) => worker.send({ id }));
+  assert.strictEqual(worker.getState().inFlight, 3);
+  assert.strictEqual(worker.getState().queueLength, 3);
+
+  const results = await Promise.all(pending);
+  assert.deepStrictEqual(results, [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(peak, 3);
+  assert.strictEqual(worker.getState().inFlight, 0);
+  await worker.stop();
+});
+
+test('Concurrency: partition keys keep per-key order', async (t) => {
+  const order = { a: [], b: [] };
+  let active = 0;
+  let peak = 0;
+  const registry = new ServiceRegistry();
+  registry.register('accounts', {
+    onMessage: async (message) => {
+      active++;
+      peak = Math.max(peak, active);
+      // Earlier messages take longer, so unordered handling would finish them last
+      await sleep(message.delay);
+      order[message.account].push(message.seq);
+      active--;
+    }
+  }, { concurrency: 4, partitionKey: (message) => message.account });
+  await registry.start('accounts');
+
+  await Promise.all([
+    registry.send('accounts', { account: 'a', seq: 1, delay: 20 }),
+    registry.send('accounts', { account: 'b', seq: 1, delay: 20 }),
+    registry.send('accounts', { account: 'a', seq: 2, delay: 1 }),
+    registry.send('accounts', { account: 'b', seq: 2, delay: 1 }),
+    registry.send('accounts', { account: 'a', seq: 3, delay: 1 })
+  ]);
+
+  assert.deepStrictEqual(order.a, [1, 2, 3]);
+  assert.deepStrictEqual(order.b, [1, 2]);
+  // The two keys ran side by side, but never two messages of the same key
+  assert.strictEqual(peak, 2);
+
+  await registry.stop('accounts');
+});
+
+test('Concurrency: messages without a key are not held back', async (t) => {
+  const finished = [];
+  const worker = new ServiceWorker('mixed', {
+    onMessage: async (message) => {
+      await sleep(message.delay);
+      finished.push(message.id);
+    }
+  }, {
+    concurrency: 2,
+    partitionKey: (message) => message.key
+  });
+  await worker.start();
+
+  await Promise.all([
+    worker.send({ id: 'k1', key: 'k', delay: 20 }),
+    worker.send({ id: 'k2', key: 'k', delay: 1 }),
+    worker.send({ id: 'free', delay: 1 })
+  ]);
+
+  // 'free' overtook the second keyed message
+  assert.deepStrictEqual(finished, ['free', 'k1', 'k2']);
+  await worker.stop();
+});
+
+test('Concurrency: invalid values are rejected', async (t) => {
+  assert.throws(() => new ServiceWorker('x', {}, { concurrency: 0 }), /at least 1/);
+});
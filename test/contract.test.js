@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry, ServiceWorker, MessageValidationError } from '../src/index.js';
+import { validate } from '../src/contract.js';
+
+const CONTRACT = {
+  operations: {
+    increment: {
+      description: 'Add to the counter',
+      request: {
+        type: 'object',
+        properties: {
+          action: { const: 'increment' },
+          value: { type: 'integer', minimum: 1 }
+        },
+        additionalProperties: false
+      },
+      response: { type: 'object', required: ['count'], properties: { count: { type: 'integer' } } }
+    },
+    reset: {}
+  }
+};
+
+test('Contract: valid messages reach the handler', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    contract: CONTRACT,
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async ({ action, value = 1 }, context) => {
+      context.count = action === 'reset' ? 0 : context.count + value;
+      return { count: context.count };
+    }
+  });
+  await registry.start('counter');
+
+  assert.deepStrictEqual(await registry.send('counter', { action: 'increment', value: 2 }), { count: 2 });
+  assert.deepStrictEqual(await registry.send('counter', { action: 'reset' }), { count: 0 });
+  await registry.stop('counter');
+});
+
+test('Contract: invalid messages are rejected before they are queued', async (t) => {
+  let handled = 0;
+  const worker = new ServiceWorker('counter', {
+    contract: CONTRACT,
+    onMessage: async () => {
+      handled++;
+      return { count: handled };
+    }
+  });
+  await worker.start();
+
+  await assert.rejects(worker.send({ action: 'increment', value: 0.5, by: 1 }), (error) => {
+    assert.ok(error instanceof MessageValidationError);
+    assert.strictEqual(error.code, 'EVALIDATION');
+    assert.strictEqual(error.service, 'counter');
+    assert.strictEqual(error.operation, 'increment');
+    assert.strictEqual(error.direction, 'request');
+    assert.deepStrictEqual(error.errors, [
+      { path: '/value', keyword: 'type', message: 'must be integer' },
+      { path: '/by', keyword: 'additionalProperties', message: 'is not allowed' }
+    ]);
+    assert.strictEqual(error.message, 'Invalid request for counter.increment: /value must be integer');
+    return true;
+  });
+
+  await assert.rejects(worker.send({ action: 'explode' }), (error) => {
+    assert.strictEqual(error.operation, null);
+    assert.deepStrictEqual(error.errors, [
+      { path: '/action', keyword: 'enum', message: 'must be one of increment, reset' }
+    ]);
+    return true;
+  });
+  await assert.rejects(worker.send('increment'), /\(message\) must be object/);
+
+  assert.strictEqual(handled, 0);
+  assert.strictEqual(worker.getState().queueLength, 0);
+  await worker.stop();
+});
+
+test('Contract: responses are checked against the declaration', async (t) => {
+  const worker = new ServiceWorker('counter', {
+    contract: CONTRACT,
+    onMessage: async () => ({ total: 1 })
+  });
+  await worker.start();
+
+  await assert.rejects(worker.send({ action: 'increment' }), (error) => {
+    assert.strictEqual(error.direction, 'response');
+    assert.deepStrictEqual(error.errors, [
+      { path: '/count', keyword: 'required', message: 'must have property count' }
+    ]);
+    return true;
+  });
+  // Operations without a response schema accept anything
+  assert.deepStrictEqual(await worker.send({ action: 'reset' }), { total: 1 });
+  await worker.stop();
+});
+
+test('Contract: describe exposes the declared operations', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', { contract: CONTRACT, onMessage: async () => {} });
+  registry.register('free', { onMessage: async () => {} });
+
+  const { name, contract } = registry.describe('counter');
+  assert.strictEqual(name, 'counter');
+  assert.strictEqual(contract.field, 'action');
+  assert.deepStrictEqual(Object.keys(contract.operations), ['increment', 'reset']);
+  assert.strictEqual(contract.operations.increment.description, 'Add to the counter');
+
+  // A copy, so callers cannot loosen the contract
+  contract.operations.increment.request.additionalProperties = true;
+  assert.strictEqual(registry.describe('counter').contract.operations.increment.request.additionalProperties, false);
+
+  assert.deepStrictEqual(registry.describe('free'), { name: 'free', contract: null });
+  assert.throws(() => registry.describe('missing'), /not registered/);
+});
+
+test('Contract: a custom operation field and reloads', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('files', {
+    contract: { field: 'operation', operations: { list: {} } },
+    onMessage: async () => []
+  });
+  await registry.start('files');
+  assert.deepStrictEqual(await registry.send('files', { operation: 'list' }), []);
+  await assert.rejects(registry.send('files', { action: 'list' }), /\/operation must be one of list/);
+
+  await registry.reload('files', {
+    contract: { field: 'operation', operations: { list: {}, read: {} } },
+    onMessage: async ({ operation }) => operation
+  });
+  assert.strictEqual(await registry.send('files', { operation: 'read' }), 'read');
+  await registry.stop('files');
+});
+
+test('Contract: unsupported schemas are refused up front', async (t) => {
+  const declare = (request) => () => new ServiceWorker('x', {
+    contract: { operations: { op: { request } } }
+  });
+  assert.throws(declare({ oneOf: [] }), /op\.request uses unsupported keyword "oneOf"/);
+  assert.throws(declare({ properties: { a: { type: 'text' } } }), /op\.request\.properties\.a has unknown type "text"/);
+  assert.throws(() => new ServiceWorker('x', { contract: { operations: {} } }), /at least one operation/);
+});
+
+test('Contract: validate covers the supported keywords', async (t) => {
+  const schema = {
+    type: 'object',
+    required: ['tags', 'name'],
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 4, pattern: '^[a-z]+$' },
+      tags: { type: 'array', minItems: 1, maxItems: 2, items: { enum: ['a', 'b'] } },
+      size: { type: ['number', 'null'], maximum: 10 }
+    },
+    additionalProperties: { type: 'boolean' }
+  };
+
+  assert.deepStrictEqual(validate(schema, { name: 'abc', tags: ['a'], size: null, extra: true }), []);
+  assert.deepStrictEqual(
+    validate(schema, { name: 'A', tags: ['a', 'c', 'b'], size: 11, extra: 1 }).map((e) => `${e.path} ${e.keyword}`),
+    [
+      '/name minLength',
+      '/name pattern',
+      '/tags maxItems',
+      '/tags/1 enum',
+      '/size maximum',
+      '/extra type'
+    ]
+  );
+  assert.deepStrictEqual(validate(schema, { tags: [] }).map((e) => `${e.path} ${e.keyword}`), [
+    '/name required',
+    '/tags minItems'
+  ]);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry } from '../src/index.js';
+import { sleep } from './helpers.js';
+
+test('Dependencies: startAll starts dependencies first', async (t) => {
+  const registry = new ServiceRegistry();
+  const log = [];
+  // Registered in the "wrong" order on purpose
+  const graph = {
+    api: ['cache', 'db'],
+    cache: ['db'],
+    db: [],
+    metrics: []
+  };
+  for (const [name, dependsOn] of Object.entries(graph)) {
+    registry.register(name, {
+      onStart: async () => {
+        // Yield so that parallel starts would interleave if ordering were wrong
+        await sleep(1);
+        for (const dep of dependsOn) {
+          assert.strictEqual(registry.get(dep).state, 'running', `${dep} must run before ${name}`);
+        }
+        log.push(`start:${name}`);
+      }
+    }, { dependsOn });
+  }
+
+  await registry.startAll();
+
+  assert.ok(log.indexOf('start:db') < log.indexOf('start:cache'));
+  assert.ok(log.indexOf('start:cache') < log.indexOf('start:api'));
+  assert.strictEqual(log.length, 4);
+
+  await registry.stopAll();
+});
+
+test('Dependencies: stopAll stops dependents first', async (t) => {
+  const registry = new ServiceRegistry();
+  const log = [];
+  const graph = { db: [], cache: ['db'], api: ['cache'] };
+  for (const [name, dependsOn] of Object.entries(graph)) {
+    registry.register(name, {
+      onStop: async () => {
+        log.push(`stop:${name}`);
+      }
+    }, { dependsOn });
+  }
+
+  await registry.startAll();
+  await registry.stopAll();
+
+  assert.deepStrictEqual(log, ['stop:api', 'stop:cache', 'stop:db']);
+});
+
+test('Dependencies: start a service with its transitive dependencies', async (t) => {
+  const registry = new ServiceRegistry();
+  const log = [];
+  const graph = { db: [], cache: ['db'], api: ['cache'], unrelated: [] };
+  for (const [name, dependsOn] of Object.entries(graph)) {
+    registry.register(name, {
+      onStart: async () => {
+        await sleep(1);
+        log.push(`start:${name}`);
+      }
+    }, { dependsOn });
+  }
+
+  await registry.start('api', { withDependencies: true });
+
+  assert.deepStrictEqual(log, ['start:db', 'start:cache', 'start:api']);
+  assert.strictEqual(registry.get('unrelated').state, 'stopped');
+
+  // Already running dependencies are left alone
+  await registry.stop('api');
+  log.length = 0;
+  await registry.start('api', { withDependencies: true });
+  assert.deepStrictEqual(log, ['start:api']);
+
+  await registry.stopAll();
+});
+
+test('Dependencies: cycles are rejected with the cycle path', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('a', {}, { dependsOn: ['b'] });
+  registry.register('b', {}, { dependsOn: ['c'] });
+
+  assert.throws(
+    () => registry.register('c', {}, { dependsOn: ['a'] }),
+    /Dependency cycle detected: c -> a -> b -> c/
+  );
+  assert.strictEqual(registry.get('c'), undefined);
+
+  assert.throws(
+    () => registry.register('self', {}, { dependsOn: ['self'] }),
+    /Dependency cycle detected: self -> self/
+  );
+});
+
+test('Dependencies: missing dependencies fail at start', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('api', {}, { dependsOn: ['db'] });
+
+  await assert.rejects(registry.startAll(), /Service api depends on db, which is not registered/);
+  await assert.rejects(registry.start('api', { withDependencies: true }), /depends on db/);
+
+  // A plain start does not look at dependencies
+  await registry.start('api');
+  assert.strictEqual(registry.get('api').state, 'running');
+  assert.deepStrictEqual(registry.get('api').getState().dependsOn, ['db']);
+  await registry.stopAll();
+  assert.strictEqual(registry.get('api').state, 'stopped');
+});
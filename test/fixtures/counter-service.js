@@ -0,0 +1,51 @@
+/**
+ * Handler module loaded by the isolation tests
+ */
+export default {
+  async onStart(context) {
+    context.count = context.count ?? 0;
+    context.pid = process.pid;
+  },
+
+  async onMessage(message, context, { signal }) {
+    switch (message.op) {
+      case 'increment':
+        context.count++;
+        return context.count;
+      case 'fail': {
+        const error = new Error('handler failed');
+        error.code = 'EHANDLER';
+        throw error;
+      }
+      case 'crash':
+        // Thrown outside the handler call, so nothing can catch it
+        setImmediate(() => { throw new Error('isolate crashed'); });
+        return new Promise(() => {});
+      case 'spin': {
+        const until = Date.now() + message.ms;
+        while (Date.now() < until) {
+          // Busy loop that would block the registry's event loop
+        }
+        return 'done';
+      }
+      case 'wait':
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        });
+      case 'pid':
+        return process.pid;
+      default:
+        return message;
+    }
+  },
+
+  async onStop(context) {
+    context.stopped = true;
+  }
+};
+
+export const named = {
+  async onMessage(message) {
+    return `named:${message}`;
+  }
+};
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry, ServiceWorker } from '../src/index.js';
+import { sleep } from './helpers.js';
+
+test('Health: probes move a service through degraded to unhealthy', async (t) => {
+  const registry = new ServiceRegistry();
+  let refused = false;
+  registry.register('db', {
+    onHealth: async () => {
+      if (refused) throw new Error('connection refused');
+      return true;
+    }
+  }, { health: { interval: 30, timeout: 20, threshold: 3 } });
+  const unhealthy = [];
+  registry.on('service:unhealthy', (e) => unhealthy.push(e));
+  await registry.start('db');
+
+  assert.strictEqual(registry.status().db.health.status, 'healthy');
+  refused = true;
+  await sleep(45);
+  const degraded = registry.status().db.health;
+  assert.strictEqual(degraded.status, 'degraded');
+  assert.strictEqual(degraded.failures, 1);
+  assert.strictEqual(degraded.error.message, 'connection refused');
+
+  await sleep(100);
+  assert.strictEqual(registry.status().db.health.status, 'unhealthy');
+  assert.strictEqual(unhealthy.length, 1, 'reported once, not on every failed probe');
+  assert.strictEqual(unhealthy[0].name, 'db');
+  assert.strictEqual(unhealthy[0].failures, 3);
+
+  refused = false;
+  await sleep(50);
+  assert.deepStrictEqual(
+    { ...registry.status().db.health, checkedAt: 0 },
+    { status: 'healthy', failures: 0, checkedAt: 0, error: null }
+  );
+  await registry.stop('db');
+});
+
+test('Health: a hanging probe times out', async (t) => {
+  const registry = new ServiceRegistry();
+  let hanging = false;
+  registry.register('db', {
+    onHealth: async () => {
+      if (hanging) await new Promise(() => {});
+      return true;
+    }
+  }, { health: { interval: 1000, timeout: 10, threshold: 1 } });
+  await registry.start('db');
+  hanging = true;
+
+  const health = await registry.checkHealth('db');
+  assert.strictEqual(health.status, 'unhealthy');
+  assert.match(health.error.message, /Health check timed out after 10ms/);
+  await registry.stop('db');
+});
+
+test('Health: handlers can report themselves degraded or failed', async (t) => {
+  let report = 'degraded';
+  const worker = new ServiceWorker('db', {
+    onHealth: async () => report
+  });
+  await worker.start();
+
+  let health = await worker.checkHealth();
+  assert.strictEqual(health.status, 'degraded');
+  assert.strictEqual(health.failures, 0);
+
+  report = false;
+  health = await worker.checkHealth();
+  assert.strictEqual(health.status, 'degraded');
+  assert.strictEqual(health.failures, 1);
+  assert.match(health.error.message, /reported itself unhealthy/);
+
+  // Defaults to three failures in a row
+  await worker.checkHealth();
+  assert.strictEqual((await worker.checkHealth()).status, 'unhealthy');
+  await worker.stop();
+});
+
+test('Health: stopped services fail probes and restarts reset health', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('db', { onHealth: async () => true }, { health: { threshold: 1 } });
+  registry.register('plain', { onMessage: async () => {} });
+
+  const stopped = await registry.checkHealth('db');
+  assert.strictEqual(stopped.status, 'unhealthy');
+  assert.match(stopped.error.message, /Service db is stopped/);
+
+  await registry.startAll();
+  assert.strictEqual(registry.status().db.health.status, 'healthy');
+  // Services without onHealth are not probed, but can still be checked
+  assert.strictEqual(registry.status().plain.health, null);
+  assert.strictEqual((await registry.checkHealth('plain')).status, 'healthy');
+  await assert.rejects(registry.checkHealth('missing'), /Service missing is not registered/);
+  await registry.stopAll();
+});
+
+test('Health: probing stops with the service', async (t) => {
+  const registry = new ServiceRegistry();
+  let probes = 0;
+  registry.register('db', {
+    onMessage: async () => {},
+    onHealth: async () => { probes++; }
+  }, { health: { interval: 5 } });
+
+  await registry.start('db');
+  await sleep(30);
+  assert.ok(probes >= 2, `${probes} probes`);
+  await registry.stop('db');
+  const seen = probes;
+  await sleep(30);
+  assert.strictEqual(probes, seen);
+});
@@ -0,0 +1,25 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Helpers shared by the test files
+ */
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Let pending promise callbacks and I/O run
+ */
+export const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * A temporary directory removed when the test ends
+ * @param {TestContext} t
+ * @returns {Promise<string>}
+ */
+export async function tempDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), 'eiasw-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
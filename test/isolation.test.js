@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import {
+  ServiceRegistry,
+  ServiceWorker,
+  ServiceCrashError,
+  MessageTimeoutError,
+  Supervisor
+} from '../src/index.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/counter-service.js', import.meta.url));
+
+for (const isolation of ['thread', 'process']) {
+  test(`Isolation: ${isolation} runs the handler module behind the same API`, async (t) => {
+    const registry = new ServiceRegistry();
+    const worker = registry.register('counter', { module: FIXTURE, isolation });
+    await registry.start('counter');
+
+    assert.strictEqual(await registry.send('counter', { op: 'increment' }), 1);
+    assert.strictEqual(await worker.send({ op: 'increment' }), 2);
+    assert.deepStrictEqual(await registry.send('counter', { op: 'echo', n: [1] }), { op: 'echo', n: [1] });
+
+    // The context is mirrored back from the isolate
+    const state = registry.status().counter;
+    assert.strictEqual(state.isolation, isolation);
+    assert.strictEqual(state.context.count, 2);
+
+    const pid = await registry.send('counter', { op: 'pid' });
+    if (isolation === 'process') {
+      assert.notStrictEqual(pid, process.pid);
+    } else {
+      assert.strictEqual(pid, process.pid);
+    }
+
+    await registry.stop('counter');
+    assert.strictEqual(worker.context.stopped, true);
+    assert.strictEqual(worker.handler.pid, null);
+  });
+
+  test(`Isolation: ${isolation} crashes surface as service:error`, async (t) => {
+    const registry = new ServiceRegistry();
+    registry.register('counter', { module: FIXTURE, isolation });
+    await registry.start('counter');
+    await registry.send('counter', { op: 'increment' });
+
+    const errored = new Promise((resolve) => registry.once('service:error', resolve));
+    await assert.rejects(registry.send('counter', { op: 'crash' }), ServiceCrashError);
+
+    const { name, error } = await errored;
+    assert.strictEqual(name, 'counter');
+    assert.strictEqual(error.code, 'ECRASH');
+    assert.strictEqual(error.isolation, isolation);
+    assert.strictEqual(registry.get('counter').state, 'error');
+
+    // A restart spawns a fresh isolate that resumes from the last context
+    await registry.get('counter').restart();
+    assert.strictEqual(await registry.send('counter', { op: 'increment' }), 2);
+    await registry.stop('counter');
+  });
+}
+
+test('Isolation: handler errors keep their code and leave the isolate running', async (t) => {
+  const worker = new ServiceWorker('counter', { module: FIXTURE });
+  await worker.start();
+
+  await assert.rejects(worker.send({ op: 'fail' }), (error) => {
+    assert.strictEqual(error.message, 'handler failed');
+    assert.strictEqual(error.code, 'EHANDLER');
+    return true;
+  });
+  assert.strictEqual(worker.state, 'running');
+  assert.strictEqual(await worker.send({ op: 'increment' }), 1);
+  await worker.stop();
+});
+
+test('Isolation: cancellation reaches the isolated handler', async (t) => {
+  const worker = new ServiceWorker('counter', { module: FIXTURE, isolation: 'thread' });
+  await worker.start();
+
+  await assert.rejects(worker.send({ op: 'wait' }, { timeout: 20 }), MessageTimeoutError);
+  // The aborted handler settled, so the mailbox moves on
+  assert.strictEqual(await worker.send({ op: 'increment' }, { timeout: 1000 }), 1);
+  await worker.stop();
+});
+
+test('Isolation: CPU-bound work does not block the registry', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('cpu', { module: FIXTURE, isolation: 'thread' });
+  registry.register('local', { onMessage: async (message) => message });
+  await registry.startAll();
+
+  const spinning = registry.send('cpu', { op: 'spin', ms: 200 });
+  const start = Date.now();
+  assert.strictEqual(await registry.send('local', 'ping'), 'ping');
+  assert.ok(Date.now() - start < 100, 'local service answered while the isolate was busy');
+
+  assert.strictEqual(await spinning, 'done');
+  await registry.stopAll();
+});
+
+test('Isolation: named exports and load failures', async (t) => {
+  const named = new ServiceWorker('named', { module: FIXTURE, export: 'named' });
+  await named.start();
+  assert.strictEqual(await named.send('x'), 'named:x');
+  await named.stop();
+
+  const missing = new ServiceWorker('missing', { module: FIXTURE, export: 'nope' });
+  missing.on('error', () => {});
+  await assert.rejects(missing.start(), /no handler export "nope"/);
+  assert.strictEqual(missing.handler.pid, null);
+
+  assert.throws(() => new ServiceWorker('x', { module: FIXTURE, isolation: 'vm' }), /Unknown isolation/);
+});
+
+test('Isolation: a supervisor restarts a crashed isolate', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', { module: FIXTURE, isolation: 'thread' });
+  const supervisor = new Supervisor(registry, { backoff: { initial: 1 } });
+  await supervisor.start();
+
+  const restarted = new Promise((resolve) => supervisor.once('restarted', resolve));
+  await assert.rejects(registry.send('counter', { op: 'crash' }), ServiceCrashError);
+  await restarted;
+
+  assert.strictEqual(registry.get('counter').state, 'running');
+  assert.strictEqual(await registry.send('counter', { op: 'increment' }), 1);
+  await supervisor.stop({ stopChildren: true });
+});
@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFile, appendFile } from 'fs/promises';
+import { join } from 'path';
+import {
+  ServiceWorker,
+  MemoryStore,
+  MemoryJournal,
+  FileJournal
+} from '../src/index.js';
+import { sleep, tempDir } from './helpers.js';
+
+test('Journal: a counter reaches identical state after a crash', async (t) => {
+  const path = join(await tempDir(t), 'journal.log');
+
+  const replayed = [];
+  const handler = {
+    onMessage: async (message, context, meta) => {
+      if (meta.replay) replayed.push(message);
+      if (message.op === 'fail') throw new Error('rejected');
+      context.count = (context.count ?? 0) + message.by;
+      return context.count;
+    }
+  };
+  const crashed = new ServiceWorker('counter', handler, {
+    journal: { store: new FileJournal(path) }
+  });
+  await crashed.start();
+  for (const by of [1, 2, 3, 4]) {
+    await crashed.send({ op: 'add', by });
+  }
+  await assert.rejects(crashed.send({ op: 'fail' }), /rejected/);
+  await crashed.send({ op: 'add', by: 10 });
+  const expected = structuredClone(crashed.context);
+  // The process dies here: no stop(), no snapshot
+
+  const recovered = new ServiceWorker('counter', handler, {
+    journal: { store: new FileJournal(path) }
+  });
+  await recovered.start();
+
+  assert.deepStrictEqual(recovered.context, expected);
+  assert.strictEqual(replayed.length, 6);
+  // New messages continue the sequence
+  assert.strictEqual(await recovered.send({ op: 'add', by: 1 }), 21);
+  const lines = (await readFile(path, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepStrictEqual(lines.map((entry) => entry.seq), [1, 2, 3, 4, 5, 6, 7]);
+  await recovered.stop();
+});
+
+test('Journal: a message is journaled before its handler runs', async (t) => {
+  const path = join(await tempDir(t), 'journal.log');
+  const worker = new ServiceWorker('counter', {
+    onMessage: () => new Promise(() => {})
+  }, { journal: { store: new FileJournal(path) } });
+  await worker.start();
+
+  worker.send({ op: 'hang' }).catch(() => {});
+  await sleep(20);
+  const [entry] = (await readFile(path, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepStrictEqual(entry.message, { op: 'hang' });
+  assert.strictEqual(entry.seq, 1);
+});
+
+test('Journal: a torn last line does not swallow the next entry', async (t) => {
+  const path = join(await tempDir(t), 'journal.log');
+  const journal = new FileJournal(path);
+  await journal.append('a', { seq: 1, message: 1 });
+  await appendFile(path, '{"name":"a","seq":2,"mess');
+
+  const reopened = new FileJournal(path);
+  await reopened.append('a', { seq: 2, message: 2 });
+  assert.deepStrictEqual((await reopened.read('a')).map((entry) => entry.message), [1, 2]);
+});
+
+test('Journal: replay starts from the latest snapshot', async (t) => {
+  const store = new MemoryStore();
+  const journal = new MemoryJournal();
+
+  const replayed = [];
+  const handler = {
+    onMessage: async (message, context, meta) => {
+      if (meta.replay) replayed.push(message);
+      context.count = (context.count ?? 0) + message.by;
+      return context.count;
+    }
+  };
+  const crashed = new ServiceWorker('counter', handler, {
+    persistence: { store },
+    journal: { store: journal }
+  });
+  await crashed.start();
+  await crashed.send({ op: 'add', by: 1 });
+  await crashed.send({ op: 'add', by: 2 });
+  await crashed.snapshot();
+  await crashed.send({ op: 'add', by: 3 });
+  const expected = structuredClone(crashed.context);
+
+  const recovered = new ServiceWorker('counter', handler, {
+    persistence: { store },
+    journal: { store: journal }
+  });
+  const done = new Promise((resolve) => recovered.once('replayed', resolve));
+  await recovered.start();
+
+  assert.deepStrictEqual(recovered.context, expected);
+  assert.deepStrictEqual(replayed, [{ op: 'add', by: 3 }]);
+  assert.deepStrictEqual(await done, { name: 'counter', count: 1, seq: 3 });
+
+  // Or rebuild from the first entry, ignoring the snapshot
+  replayed.length = 0;
+  const rebuilt = new ServiceWorker('counter', handler, {
+    persistence: { store },
+    journal: { store: journal, fromSnapshot: false }
+  });
+  await rebuilt.start();
+  assert.deepStrictEqual(rebuilt.context, expected);
+  assert.strictEqual(replayed.length, 3);
+});
+
+test('Journal: compaction drops entries covered by a snapshot', async (t) => {
+  const store = new MemoryStore();
+  const journal = new MemoryJournal();
+  const options = { persistence: { store }, journal: { store: journal } };
+  const replayed = [];
+  const handler = {
+    onMessage: async (message, context, meta) => {
+      if (meta.replay) replayed.push(message);
+      context.count = (context.count ?? 0) + message.by;
+      return context.count;
+    }
+  };
+
+  const worker = new ServiceWorker('counter', handler, options);
+  await worker.start();
+  for (const by of [1, 2, 3]) {
+    await worker.send({ op: 'add', by });
+  }
+  await worker.compactJournal();
+  await worker.send({ op: 'add', by: 4 });
+
+  assert.deepStrictEqual((await journal.read('counter')).map((entry) => entry.seq), [4]);
+
+  const recovered = new ServiceWorker('counter', handler, options);
+  await recovered.start();
+  assert.strictEqual(recovered.context.count, 10);
+  assert.deepStrictEqual(replayed, [{ op: 'add', by: 4 }]);
+
+  await assert.rejects(
+    new ServiceWorker('x', handler, { journal: { store: journal } }).compactJournal(),
+    /needs a journal and a persistence store/
+  );
+});
+
+test('Journal: replay(from, to) rebuilds a range without touching the service', async (t) => {
+  const worker = new ServiceWorker('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+      context.history = [];
+    },
+    onMessage: async (message, context) => {
+      context.count += message.by;
+      context.history.push(message.by);
+      return context.count;
+    }
+  }, { journal: { store: new MemoryJournal() } });
+  await worker.start();
+  for (const by of [1, 2, 3, 4]) {
+    await worker.send({ op: 'add', by });
+  }
+
+  const { context, entries } = await worker.replay(2, 3);
+  assert.deepStrictEqual(context, { count: 5, history: [2, 3] });
+  assert.deepStrictEqual(entries.map(({ seq, response }) => [seq, response]), [[2, 2], [3, 5]]);
+  assert.strictEqual(worker.context.count, 10);
+
+  const all = await worker.replay();
+  assert.deepStrictEqual(all.context, worker.context);
+
+  await assert.rejects(new ServiceWorker('x', {}).replay(), /has no journal/);
+  await worker.stop();
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  ServiceWorker,
+  ServiceRegistry,
+  MailboxFullError,
+  MessageDroppedError,
+  MessageTimeoutError
+} from '../src/index.js';
+import { settle } from './helpers.js';
+
+test('Mailbox: reject policy refuses messages when full', async (t) => {
+  const waiting = [];
+  const worker = new ServiceWorker('gated', {
+    onMessage: async (message) => {
+      await new Promise((resolve) => waiting.push(resolve));
+      return message;
+    }
+  }, { mailbox: { capacity: 2 } });
+  await worker.start();
+
+  const inFlight = worker.send(0);
+  const queued = [worker.send(1), worker.send(2)];
+  assert.strictEqual(worker.getState().queueLength, 2);
+
+  await assert.rejects(worker.send(3), (error) => {
+    assert.ok(error instanceof MailboxFullError);
+    assert.strictEqual(error.capacity, 2);
+    return true;
+  });
+  assert.strictEqual(worker.getState().dropped, 0);
+
+  for (let i = 0; i < 3; i++) {
+    while (waiting.length === 0) await settle();
+    waiting.shift()();
+  }
+  assert.deepStrictEqual(await Promise.all([inFlight, ...queued]), [0, 1, 2]);
+  await worker.stop();
+});
+
+test('Mailbox: drop-oldest discards the oldest queued message', async (t) => {
+  const waiting = [];
+  const handled = [];
+  const worker = new ServiceWorker('gated', {
+    onMessage: async (message) => {
+      await new Promise((resolve) => waiting.push(resolve));
+      handled.push(message);
+      return message;
+    }
+  }, { mailbox: { capacity: 2, overflow: 'drop-oldest' } });
+  await worker.start();
+
+  const results = [0, 1, 2, 3].map((n) => worker.send(n).catch((error) => error));
+  for (let i = 0; i < 3; i++) {
+    while (waiting.length === 0) await settle();
+    waiting.shift()();
+  }
+  const [r0, r1, r2, r3] = await Promise.all(results);
+
+  assert.strictEqual(r0, 0);
+  assert.ok(r1 instanceof MessageDroppedError);
+  assert.strictEqual(r1.policy, 'drop-oldest');
+  assert.deepStrictEqual([r2, r3], [2, 3]);
+  assert.deepStrictEqual(handled, [0, 2, 3]);
+  assert.strictEqual(worker.getState().dropped, 1);
+  await worker.stop();
+});
+
+test('Mailbox: drop-newest discards the incoming message', async (t) => {
+  const waiting = [];
+  const worker = new ServiceWorker('gated', {
+    onMessage: async (message) => {
+      await new Promise((resolve) => waiting.push(resolve));
+      return message;
+    }
+  }, { mailbox: { capacity: 2, overflow: 'drop-newest' } });
+  await worker.start();
+
+  const results = [0, 1, 2, 3, 4].map((n) => worker.send(n).catch((error) => error));
+  for (let i = 0; i < 3; i++) {
+    while (waiting.length === 0) await settle();
+    waiting.shift()();
+  }
+  const settled = await Promise.all(results);
+
+  assert.deepStrictEqual(settled.slice(0, 3), [0, 1, 2]);
+  assert.ok(settled[3] instanceof MessageDroppedError);
+  assert.ok(settled[4] instanceof MessageDroppedError);
+  assert.strictEqual(worker.getState().dropped, 2);
+  await worker.stop();
+});
+
+test('Mailbox: block-until-space holds senders until a slot frees', async (t) => {
+  const waiting = [];
+  const handled = [];
+  const worker = new ServiceWorker('gated', {
+    onMessage: async (message) => {
+      await new Promise((resolve) => waiting.push(resolve));
+      handled.push(message);
+      return message;
+    }
+  }, { mailbox: { capacity: 1, overflow: 'block-until-space' } });
+  await worker.start();
+
+  const results = [0, 1, 2, 3].map((n) => worker.send(n));
+  assert.strictEqual(worker.getState().queueLength, 1);
+  assert.strictEqual(worker.getState().blocked, 2);
+
+  // A blocked sender can still time out
+  const late = worker.send(4, { timeout: 5 });
+  await assert.rejects(late, MessageTimeoutError);
+  assert.strictEqual(worker.getState().blocked, 2);
+
+  for (let i = 0; i < 4; i++) {
+    while (waiting.length === 0) await settle();
+    waiting.shift()();
+  }
+  assert.deepStrictEqual(await Promise.all(results), [0, 1, 2, 3]);
+  assert.deepStrictEqual(handled, [0, 1, 2, 3]);
+  assert.strictEqual(worker.getState().blocked, 0);
+  await worker.stop();
+});
+
+test('Mailbox: watermark events are forwarded by the registry', async (t) => {
+  const registry = new ServiceRegistry();
+  const events = [];
+  registry.on('service:queue-high', (e) => events.push(`high:${e.queueLength}`));
+  registry.on('service:queue-low', (e) => events.push(`low:${e.queueLength}`));
+
+  let release;
+  registry.register('bursty', {
+    onMessage: async () => {
+      await new Promise((resolve) => { release = resolve; });
+    }
+  }, { mailbox: { capacity: 10, highWatermark: 4, lowWatermark: 1 } });
+  await registry.start('bursty');
+
+  const pending = [];
+  for (let i = 0; i < 6; i++) pending.push(registry.send('bursty', i));
+  assert.deepStrictEqual(events, ['high:4']);
+
+  while (pending.length > 0) {
+    while (!release) await settle();
+    const open = release;
+    release = null;
+    open();
+    await pending.shift();
+  }
+
+  assert.deepStrictEqual(events, ['high:4', 'low:1']);
+  await registry.stop('bursty');
+});
+
+test('Mailbox: invalid configuration is rejected', async (t) => {
+  assert.throws(() => new ServiceWorker('x', {}, { mailbox: { overflow: 'spill' } }), /Unknown mailbox overflow policy/);
+  assert.throws(() => new ServiceWorker('x', {}, { mailbox: { capacity: 0 } }), /at least 1/);
+
+  const worker = new ServiceWorker('unbounded', {});
+  assert.strictEqual(worker.getState().capacity, Infinity);
+});
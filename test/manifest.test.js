@@ -0,0 +1,203 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ServiceRegistry, ManifestError } from '../src/index.js';
+import { parseYaml } from '../src/yaml.js';
+import { tempDir } from './helpers.js';
+
+const COUNTER = fileURLToPath(new URL('./fixtures/counter-service.js', import.meta.url));
+
+const DB_MODULE = `
+export const db = {
+  async onStart(context) {
+    context.url = context.config.url;
+    context.config.touched = true;
+  },
+  async onMessage(message, context) {
+    return context.url;
+  }
+};
+`;
+
+const API_MODULE = `
+export default {
+  async onStart(context) {
+    context.greeting = context.config.greeting;
+  },
+  async onMessage(message, context, { call }) {
+    return context.greeting + ' ' + await call('db', message);
+  }
+};
+`;
+
+async function deployment(t) {
+  const dir = await tempDir(t);
+  await mkdir(join(dir, 'services'));
+  await writeFile(join(dir, 'services', 'db.mjs'), DB_MODULE);
+  await writeFile(join(dir, 'services', 'api.mjs'), API_MODULE);
+  return dir;
+}
+
+async function manifestError(dir, manifest, file = 'eiasw.json') {
+  const path = join(dir, file);
+  await writeFile(path, typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+  try {
+    await ServiceRegistry.fromManifest(path);
+  } catch (error) {
+    assert.ok(error instanceof ManifestError, error.stack);
+    assert.strictEqual(error.code, 'EMANIFEST');
+    assert.strictEqual(error.file, path);
+    return error;
+  }
+  assert.fail('manifest was accepted');
+}
+
+test('Manifest: YAML manifest registers services with their config', async (t) => {
+  const dir = await deployment(t);
+  const path = join(dir, 'eiasw.yaml');
+  await writeFile(path, `# Two services
+services:
+  api:
+    module: ./services/api.mjs
+    dependsOn: [db]
+    options:
+      concurrency: 2
+    config:
+      greeting: hello
+  db:
+    module: services/db.mjs
+    export: db
+    config:
+      url: "postgres://localhost/app"
+`);
+
+  const registry = await ServiceRegistry.fromManifest(path);
+  assert.deepStrictEqual(registry.list(), ['api', 'db']);
+  assert.strictEqual(registry.get('api').concurrency, 2);
+  assert.deepStrictEqual(registry.get('api').dependsOn, ['db']);
+  assert.strictEqual(registry.get('db').state, 'stopped');
+
+  await registry.startAll();
+  assert.strictEqual(await registry.send('api', {}), 'hello postgres://localhost/app');
+
+  // Each start gets a fresh copy of the manifest config
+  await registry.get('db').restart();
+  assert.deepStrictEqual(registry.get('db').context.config, { url: 'postgres://localhost/app', touched: true });
+  assert.strictEqual(registry.get('db').config.touched, undefined);
+  await registry.stopAll();
+});
+
+test('Manifest: JSON manifest with an isolated service and registry options', async (t) => {
+  const dir = await deployment(t);
+  const path = join(dir, 'eiasw.json');
+  await writeFile(path, JSON.stringify({
+    services: {
+      counter: { module: COUNTER, isolation: 'thread', config: { step: 1 } }
+    }
+  }));
+
+  const clock = { now: () => 0, setTimeout: () => null, clearTimeout: () => {} };
+  const registry = await ServiceRegistry.fromManifest(path, { clock });
+  assert.strictEqual(registry.clock, clock);
+  await registry.start('counter');
+  assert.strictEqual(await registry.send('counter', { op: 'increment' }), 1);
+  assert.deepStrictEqual(registry.get('counter').context.config, { step: 1 });
+  assert.strictEqual(registry.status().counter.isolation, 'thread');
+  await registry.stop('counter');
+});
+
+test('Manifest: validation errors point at the entry', async (t) => {
+  const dir = await deployment(t);
+  const cases = [
+    [[1, 2], null, 'manifest must be an object'],
+    [{}, 'services', 'must be an object'],
+    [{ services: { api: 'api.js' } }, 'services.api', 'must be an object'],
+    [{ services: { api: { module: './services/api.mjs', modules: 1 } } }, 'services.api.modules', 'unknown field'],
+    [{ services: { api: {} } }, 'services.api.module', 'must be a module path'],
+    [{ services: { api: { module: 'x.js', export: 3 } } }, 'services.api.export', 'must be a string'],
+    [{ services: { api: { module: 'x.js', isolation: 'vm' } } }, 'services.api.isolation', 'must be one of thread, process'],
+    [{ services: { api: { module: 'x.js', options: [] } } }, 'services.api.options', 'must be an object'],
+    [
+      { services: { db: { module: 'x.js' }, api: { module: 'x.js', dependsOn: ['db', 'cache'] } } },
+      'services.api.dependsOn[1]',
+      'unknown service "cache"'
+    ],
+    [
+      { services: { a: { module: 'x.js', dependsOn: ['b'] }, b: { module: 'x.js', dependsOn: ['a'] } } },
+      'services.b.dependsOn',
+      'dependency cycle: a -> b -> a'
+    ],
+    [{ services: { api: { module: './missing.js' } } }, 'services.api.module', 'cannot load ./missing.js'],
+    [
+      { services: { api: { module: './services/db.mjs' } } },
+      'services.api.module',
+      './services/db.mjs has no handler export "default"'
+    ],
+    [
+      { services: { api: { module: './services/db.mjs', export: 'nope' } } },
+      'services.api.export',
+      './services/db.mjs has no handler export "nope"'
+    ],
+    [
+      { services: { api: { module: './services/api.mjs', options: { concurrency: 0 } } } },
+      'services.api',
+      'Concurrency must be at least 1'
+    ]
+  ];
+
+  for (const [manifest, entry, message] of cases) {
+    const error = await manifestError(dir, manifest);
+    assert.strictEqual(error.entry, entry, error.message);
+    assert.ok(error.message.includes(message), error.message);
+    if (entry) {
+      assert.ok(error.message.includes(`eiasw.json: ${entry}: `), error.message);
+    }
+  }
+
+  const yaml = await manifestError(dir, 'services:\n  api:\n    module: [oops\n', 'eiasw.yml');
+  assert.match(yaml.message, /eiasw\.yml: invalid YAML: Line 3: /);
+  const json = await manifestError(dir, '{ "services": ');
+  assert.match(json.message, /eiasw\.json: invalid JSON/);
+  await assert.rejects(ServiceRegistry.fromManifest(join(dir, 'absent.json')), {
+    code: 'EMANIFEST',
+    message: /absent\.json: cannot read manifest: ENOENT/
+  });
+});
+
+test('Manifest: YAML subset', async (t) => {
+  assert.deepStrictEqual(parseYaml(`
+name: 'it''s'   # comment
+url: "http://host:80/#top"
+list:
+- 1
+- -2.5
+- true
+- ~
+nested:
+  - key: value
+    other: [a, "b, c", {x: 1}]
+  - plain text
+text: |
+  line one
+  line two
+folded: >-
+  one
+  two
+empty:
+`), {
+    name: "it's",
+    url: 'http://host:80/#top',
+    list: [1, -2.5, true, null],
+    nested: [{ key: 'value', other: ['a', 'b, c', { x: 1 }] }, 'plain text'],
+    text: 'line one\nline two\n',
+    folded: 'one two',
+    empty: null
+  });
+
+  assert.throws(() => parseYaml('a: 1\n  b: 2'), /Line 2: unexpected indentation/);
+  assert.throws(() => parseYaml('a: 1\na: 2'), /Line 2: duplicate key "a"/);
+  assert.throws(() => parseYaml('a:\n\tb: 1'), /Line 2: tabs are not allowed/);
+  assert.throws(() => parseYaml('a: 1\n---\nb: 2'), /only one document/);
+});
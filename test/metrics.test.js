@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry, Histogram } from '../src/index.js';
+import { DEFAULT_BUCKETS } from '../src/metrics.js';
+import { sleep } from './helpers.js';
+
+test('Metrics: counters and histograms per service', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('echo', {
+    onMessage: async (message) => {
+      if (message === 'fail') throw new Error('failed');
+      if (message === 'slow') await sleep(30);
+      return message;
+    }
+  });
+  registry.register('idle', { onMessage: async () => {} });
+  await registry.start('echo');
+
+  await registry.send('echo', 'a');
+  await registry.send('echo', 'slow');
+  await assert.rejects(registry.send('echo', 'fail'));
+
+  const { services } = registry.metrics({ format: 'json' });
+  const echo = services.echo;
+  assert.strictEqual(echo.state, 'running');
+  assert.strictEqual(echo.received, 3);
+  assert.strictEqual(echo.succeeded, 2);
+  assert.strictEqual(echo.failed, 1);
+  assert.strictEqual(echo.restarts, 0);
+  assert.ok(echo.uptime > 0);
+  assert.strictEqual(echo.handlerDuration.count, 3);
+  assert.ok(echo.handlerDuration.sum >= 0.025, `sum ${echo.handlerDuration.sum}`);
+  assert.deepStrictEqual(echo.handlerDuration.buckets.at(-1), ['+Inf', 3]);
+  assert.deepStrictEqual(echo.handlerDuration.buckets.find(([bound]) => bound === 0.01), [0.01, 2]);
+  assert.strictEqual(echo.queueWait.count, 3);
+
+  assert.strictEqual(services.idle.received, 0);
+  assert.strictEqual(services.idle.uptime, 0);
+  await registry.stop('echo');
+});
+
+test('Metrics: queue wait covers time behind other messages', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('echo', {
+    onMessage: async (message) => {
+      if (message === 'slow') await sleep(30);
+      return message;
+    }
+  });
+  await registry.start('echo');
+
+  await Promise.all([registry.send('echo', 'slow'), registry.send('echo', 'b')]);
+  const { queueWait } = registry.metrics({ format: 'json' }).services.echo;
+  assert.strictEqual(queueWait.count, 2);
+  assert.ok(queueWait.sum >= 0.025, `sum ${queueWait.sum}`);
+  await registry.stop('echo');
+});
+
+test('Metrics: restarts are starts after the first', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('echo', { onMessage: async (message) => message });
+  await registry.start('echo');
+  await registry.get('echo').restart();
+  await registry.get('echo').restart();
+
+  let echo = registry.metrics({ format: 'json' }).services.echo;
+  assert.strictEqual(echo.restarts, 2);
+
+  await registry.stop('echo');
+  echo = registry.metrics({ format: 'json' }).services.echo;
+  assert.strictEqual(echo.uptime, 0);
+});
+
+test('Metrics: Prometheus text format', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('echo', { onMessage: async (message) => message }, { metrics: { buckets: [0.5, 0.1] } });
+  registry.register('we"ird\\name', { onMessage: async () => {} });
+  await registry.start('echo');
+  await registry.send('echo', 'a');
+
+  const text = registry.metrics();
+  assert.match(text, /^# HELP eiasw_up /m);
+  assert.match(text, /^# TYPE eiasw_messages_received_total counter$/m);
+  assert.match(text, /^eiasw_up\{service="echo"\} 1$/m);
+  assert.match(text, /^eiasw_up\{service="we\\"ird\\\\name"\} 0$/m);
+  assert.match(text, /^eiasw_messages_received_total\{service="echo"\} 1$/m);
+  assert.match(text, /^eiasw_messages_succeeded_total\{service="echo"\} 1$/m);
+  assert.match(text, /^# TYPE eiasw_handler_duration_seconds histogram$/m);
+  assert.match(text, /^eiasw_handler_duration_seconds_bucket\{service="echo",le="0.1"\} 1$/m);
+  assert.match(text, /^eiasw_handler_duration_seconds_bucket\{service="echo",le="0.5"\} 1$/m);
+  assert.match(text, /^eiasw_handler_duration_seconds_bucket\{service="echo",le="\+Inf"\} 1$/m);
+  assert.match(text, /^eiasw_handler_duration_seconds_count\{service="echo"\} 1$/m);
+  assert.ok(text.endsWith('\n'));
+
+  // Whole-number bounds stay in order among fractional ones
+  const bounds = [...text.matchAll(/^eiasw_queue_wait_seconds_bucket\{service="we\\"ird\\\\name",le="([^"]+)"\}/gm)]
+    .map((match) => match[1]);
+  assert.deepStrictEqual(bounds, [...DEFAULT_BUCKETS.map(String), '+Inf']);
+
+  assert.throws(() => registry.metrics({ format: 'xml' }), /Unknown metrics format: xml/);
+  await registry.stop('echo');
+});
+
+test('Metrics: histogram buckets are cumulative', async (t) => {
+  const histogram = new Histogram([1, 2, 5]);
+  for (const value of [0.5, 1, 1.5, 3, 10]) histogram.observe(value);
+  assert.deepStrictEqual(histogram.toJSON(), {
+    count: 5,
+    sum: 16,
+    buckets: [[1, 2], [2, 3], [5, 4], ['+Inf', 5]]
+  });
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceWorker, ServiceRegistry, MemoryJournal } from '../src/index.js';
+
+const echo = {
+  onMessage: async (message) => ({ echo: message })
+};
+
+test('Middleware: runs in onion order around the handler', async (t) => {
+  const registry = new ServiceRegistry();
+  const trace = [];
+  const step = (label) => async (ctx, next) => {
+    trace.push(`${label}:in`);
+    await next();
+    trace.push(`${label}:out`);
+  };
+
+  registry.use(step('registry'));
+  const worker = registry.register('echo', {
+    onMessage: async () => { trace.push('handler'); }
+  });
+  worker.use(step('worker'));
+  await registry.start('echo');
+
+  // Both send paths go through the pipeline
+  await registry.send('echo', 1);
+  await worker.send(2);
+
+  const once = ['registry:in', 'worker:in', 'handler', 'worker:out', 'registry:out'];
+  assert.deepStrictEqual(trace, [...once, ...once]);
+  await registry.stop('echo');
+});
+
+test('Middleware: ctx carries the service, message, id and timing', async (t) => {
+  const registry = new ServiceRegistry();
+  let seen;
+  registry.use(async (ctx, next) => {
+    await next();
+    seen = { ...ctx, duration: Date.now() - ctx.startedAt };
+  });
+  registry.register('echo', echo);
+  await registry.start('echo');
+
+  await registry.send('echo', 'hi', { priority: 3 });
+  assert.strictEqual(seen.service, 'echo');
+  assert.strictEqual(seen.message, 'hi');
+  assert.match(seen.id, /^[0-9a-f-]{36}$/);
+  assert.strictEqual(seen.priority, 3);
+  assert.ok(seen.startedAt >= seen.enqueuedAt);
+  assert.ok(seen.duration >= 0);
+  assert.ok(seen.signal instanceof AbortSignal);
+  assert.deepStrictEqual(seen.response, { echo: 'hi' });
+  await registry.stop('echo');
+});
+
+test('Middleware: transforms messages and responses', async (t) => {
+  const worker = new ServiceWorker('echo', echo);
+  worker.use(async (ctx, next) => {
+    ctx.message = ctx.message.toUpperCase();
+    await next();
+    ctx.response = { ...ctx.response, wrapped: true };
+  });
+  await worker.start();
+
+  assert.deepStrictEqual(await worker.send('abc'), { echo: 'ABC', wrapped: true });
+  await worker.stop();
+});
+
+test('Middleware: short-circuits without reaching the handler', async (t) => {
+  const registry = new ServiceRegistry();
+  let handled = 0;
+  registry.use(async (ctx, next) => {
+    if (ctx.message.token !== 'secret') {
+      throw new Error(`Unauthorized message to ${ctx.service}`);
+    }
+    await next();
+  });
+  registry.use(async (ctx, next) => {
+    if (ctx.message.cached) {
+      ctx.response = 'from cache';
+      return;
+    }
+    await next();
+  });
+  registry.register('guarded', { onMessage: async () => ++handled });
+  await registry.start('guarded');
+
+  await assert.rejects(registry.send('guarded', { token: 'guess' }), /Unauthorized message to guarded/);
+  assert.strictEqual(await registry.send('guarded', { token: 'secret', cached: true }), 'from cache');
+  assert.strictEqual(await registry.send('guarded', { token: 'secret' }), 1);
+  assert.strictEqual(handled, 1);
+  await registry.stop('guarded');
+});
+
+test('Middleware: the journal records what reaches the handler', async (t) => {
+  const journal = new MemoryJournal();
+  const worker = new ServiceWorker('echo', echo, { journal: { store: journal } });
+  worker.use(async (ctx, next) => {
+    if (ctx.message === 'skip') return;
+    ctx.message = `${ctx.message}!`;
+    await next();
+  });
+  await worker.start();
+
+  await worker.send('skip');
+  await worker.send('keep');
+  assert.deepStrictEqual((await journal.read('echo')).map((entry) => entry.message), ['keep!']);
+  await worker.stop();
+});
+
+test('Middleware: misuse is reported', async (t) => {
+  assert.throws(() => new ServiceRegistry().use('log'), /must be a function/);
+
+  const worker = new ServiceWorker('echo', echo);
+  worker.use(async (ctx, next) => {
+    await next();
+    await next();
+  });
+  await worker.start();
+  await assert.rejects(worker.send('x'), /next\(\) called multiple times/);
+  await worker.stop();
+});
@@ -0,0 +1,314 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry, Namespace } from '../src/index.js';
+import { QTDIR, QTFILE, OREAD, OWRITE, ORDWR } from '../src/namespace.js';
+
+test('Namespace: every service is a directory under /srv', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onMessage: async () => 0
+  });
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  const ns = registry.namespace();
+  assert.ok(ns instanceof Namespace);
+
+  assert.deepStrictEqual(ns.readdir('/').map((e) => e.name), ['srv']);
+  assert.deepStrictEqual(ns.readdir('/srv').map((e) => e.name), ['counter', 'echo']);
+  assert.deepStrictEqual(
+    ns.readdir('/srv/counter').map((e) => e.name),
+    ['ctl', 'status', 'data', 'events']
+  );
+
+  assert.strictEqual(ns.stat('/srv/counter').qid.type, QTDIR);
+  assert.strictEqual(ns.stat('/srv/counter/data').qid.type, QTFILE);
+  assert.throws(() => ns.stat('/srv/missing'), /does not exist/);
+  assert.throws(() => ns.readdir('/srv/counter/data'), /not a directory/);
+});
+
+test('Namespace: walk returns qids and stops at missing elements', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  const ns = registry.namespace();
+
+  const full = ns.walk('/', ['srv', 'echo', 'data']);
+  assert.strictEqual(full.path, '/srv/echo/data');
+  assert.strictEqual(full.qids.length, 3);
+
+  const partial = ns.walk('/', ['srv', 'nope']);
+  assert.strictEqual(partial.path, '/srv');
+  assert.strictEqual(partial.qids.length, 1);
+
+  assert.strictEqual(ns.walk('/srv/echo', ['..', '..']).path, '/');
+  assert.throws(() => ns.walk('/', ['nope']), /does not exist/);
+  assert.throws(() => ns.walk('/srv/echo/data', ['x']), /not a directory/);
+
+  // Qids are stable for the same path
+  assert.strictEqual(ns.walk('/', ['srv']).qids[0].path, full.qids[0].path);
+});
+
+test('Namespace: ctl starts, stops and restarts the worker', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onMessage: async () => 0
+  });
+  const ns = registry.namespace();
+  const worker = registry.get('counter');
+
+  const ctl = ns.open('/srv/counter/ctl', ORDWR);
+  await ns.write(ctl, 'start\n');
+  assert.strictEqual(worker.state, 'running');
+  assert.strictEqual((await ns.read(ctl)).toString(), 'running\n');
+
+  await ns.write(ctl, 'restart');
+  assert.strictEqual(worker.state, 'running');
+
+  await ns.write(ctl, 'stop');
+  assert.strictEqual(worker.state, 'stopped');
+
+  await assert.rejects(ns.write(ctl, 'explode'), /unknown control message/);
+  ns.clunk(ctl);
+});
+
+test('Namespace: status reflects getState()', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async (message, context) => {
+      context.count += message.by ?? 1;
+      return { count: context.count };
+    }
+  });
+  await registry.start('counter');
+  const ns = registry.namespace();
+
+  const status = ns.open('/srv/counter/status');
+  const state = JSON.parse((await ns.read(status)).toString());
+  assert.strictEqual(state.name, 'counter');
+  assert.strictEqual(state.state, 'running');
+  assert.strictEqual(state.context.count, 0);
+
+  // Chunked reads see a single snapshot
+  const first = await ns.read(status, 0, 5);
+  await registry.send('counter', { by: 100 });
+  const rest = await ns.read(status, 5);
+  assert.strictEqual(JSON.parse(Buffer.concat([first, rest]).toString()).context.count, 0);
+
+  assert.throws(() => ns.open('/srv/counter/status', OWRITE), /permission denied/);
+  ns.clunk(status);
+  await registry.stop('counter');
+});
+
+test('Namespace: data keeps the reply per open file', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async (message, context) => {
+      context.count += message.by ?? 1;
+      return { count: context.count };
+    }
+  });
+  await registry.start('counter');
+  const ns = registry.namespace();
+
+  const a = ns.open('/srv/counter/data', ORDWR);
+  const b = ns.open('/srv/counter/data', ORDWR);
+
+  assert.strictEqual(await ns.write(a, JSON.stringify({ by: 2 })), 8);
+  await ns.write(b, '{"by":3}');
+
+  assert.deepStrictEqual(JSON.parse((await ns.read(a)).toString()), { count: 2 });
+  assert.deepStrictEqual(JSON.parse((await ns.read(b)).toString()), { count: 5 });
+
+  ns.clunk(a);
+  ns.clunk(b);
+  await assert.rejects(ns.read(a), /not open/);
+  await registry.stop('counter');
+});
+
+test('Namespace: data sends non-JSON writes as strings', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  await registry.start('echo');
+  const ns = registry.namespace();
+
+  const fd = ns.open('/srv/echo/data', ORDWR);
+  await ns.write(fd, 'plain text');
+  assert.strictEqual((await ns.read(fd)).toString(), 'plain text');
+  ns.clunk(fd);
+  await registry.stop('echo');
+});
+
+test('Namespace: events stream lifecycle changes', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  const ns = registry.namespace();
+
+  const listeners = registry.get('echo').listenerCount('started');
+  const fd = ns.open('/srv/echo/events', OREAD);
+  const pending = ns.read(fd);
+  await registry.start('echo');
+
+  const lines = (await pending).toString().trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepStrictEqual(lines.map((e) => e.event), ['starting', 'started']);
+  assert.strictEqual(lines[0].name, 'echo');
+
+  // Clunking wakes a blocked reader with end of file
+  const blocked = ns.read(fd);
+  ns.clunk(fd);
+  assert.strictEqual((await blocked).length, 0);
+  assert.strictEqual(registry.get('echo').listenerCount('started'), listeners);
+
+  await registry.stop('echo');
+});
+
+test('Namespace: close releases every open file', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onMessage: async () => 0
+  });
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  const ns = registry.namespace();
+
+  const listeners = registry.get('echo').listenerCount('stopped');
+  ns.open('/srv/echo/events');
+  ns.open('/srv/counter/events');
+  assert.strictEqual(registry.get('echo').listenerCount('stopped'), listeners + 1);
+
+  ns.close();
+  assert.strictEqual(ns.files.size, 0);
+  assert.strictEqual(registry.get('echo').listenerCount('stopped'), listeners);
+});
+
+test('Namespace: bind replaces the target', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onMessage: async () => 0
+  });
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  await registry.start('echo');
+  const ns = registry.namespace();
+
+  ns.bind('/srv/echo', '/log');
+  assert.deepStrictEqual(ns.readdir('/').map((e) => e.name), ['srv', 'log']);
+  assert.deepStrictEqual(ns.readdir('/log').map((e) => e.name), ['ctl', 'status', 'data', 'events']);
+  assert.strictEqual(ns.stat('/log').name, 'log');
+
+  const fd = ns.open('/log/data', ORDWR);
+  await ns.write(fd, '"via bind"');
+  assert.strictEqual((await ns.read(fd)).toString(), 'via bind');
+  ns.clunk(fd);
+
+  // Binding over an existing path hides what was there
+  ns.bind('/srv/echo', '/srv/counter');
+  const status = ns.open('/srv/counter/status');
+  assert.strictEqual(JSON.parse((await ns.read(status)).toString()).name, 'echo');
+  ns.clunk(status);
+
+  // Other namespaces are unaffected
+  assert.throws(() => registry.namespace().stat('/log'), /does not exist/);
+  await registry.stop('echo');
+});
+
+test('Namespace: union directories merge their members in order', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onMessage: async () => 0
+  });
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  registry.register('files', {
+    onMessage: async () => 'files'
+  });
+  const ns = registry.namespace();
+
+  ns.mount('echo', '/mnt');
+  ns.bind('/', '/mnt', { mode: 'after' });
+  assert.deepStrictEqual(
+    ns.readdir('/mnt').map((e) => e.name),
+    ['ctl', 'status', 'data', 'events', 'srv']
+  );
+  assert.strictEqual(ns.stat('/mnt/srv/files').qid.type, QTDIR);
+
+  // 'before' puts the new member first, so its files win lookups
+  ns.mount('counter', '/mnt', { mode: 'before' });
+  const status = ns.open('/mnt/status');
+  assert.strictEqual(JSON.parse((await ns.read(status)).toString()).name, 'counter');
+  ns.clunk(status);
+
+  assert.throws(() => ns.bind('/srv/echo/data', '/mnt', { mode: 'after' }), /union requires directories/);
+  assert.throws(() => ns.bind('/srv/echo', '/mnt', { mode: 'sideways' }), /Unknown bind mode/);
+  assert.throws(() => ns.bind('/nope', '/x'), /does not exist/);
+  assert.throws(() => ns.bind('/srv/echo', '/a/b'), /does not exist/);
+  assert.throws(() => ns.mount('ghost', '/x'), /not registered/);
+});
+
+test('Namespace: send falls through a union of services', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('cache', {
+    onStart: async (context) => {
+      context.entries = { hot: 'cached value' };
+    },
+    onMessage: async (message, context) => context.entries[message.key]
+  });
+  registry.register('store', {
+    onMessage: async (message) => `stored ${message.key}`
+  });
+  await registry.startAll();
+
+  const ns = registry.namespace();
+  ns.mount('store', '/data');
+  ns.mount('cache', '/data', { mode: 'before' });
+
+  assert.strictEqual(await ns.send('/data', { key: 'hot' }), 'cached value');
+  assert.strictEqual(await ns.send('/data', { key: 'cold' }), 'stored cold');
+  assert.strictEqual(await ns.send('/srv/store/data', { key: 'x' }), 'stored x');
+
+  await assert.rejects(ns.send('/srv', {}), /not a service/);
+  await assert.rejects(ns.send('/missing', {}), /does not exist/);
+
+  await registry.stopAll();
+});
+
+test('Namespace: unmount removes a bind or a single union member', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onMessage: async () => 0
+  });
+  registry.register('echo', {
+    onMessage: async (message) => message
+  });
+  const ns = registry.namespace();
+
+  ns.mount('echo', '/mnt');
+  ns.mount('counter', '/mnt', { mode: 'before' });
+
+  ns.unmount('/mnt', '/srv/counter');
+  assert.strictEqual(JSON.parse((await ns.read(ns.open('/mnt/status'))).toString()).name, 'echo');
+
+  ns.unmount('/mnt');
+  assert.throws(() => ns.stat('/mnt'), /does not exist/);
+  assert.throws(() => ns.unmount('/mnt'), /not mounted/);
+
+  // Members vanish when their service is unregistered
+  ns.mount('echo', '/mnt');
+  await registry.unregister('echo');
+  assert.throws(() => ns.stat('/mnt'), /does not exist/);
+  ns.close();
+});
@@ -0,0 +1,390 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { ServiceRegistry, NinePServer } from '../src/index.js';
+import {
+  MessageType,
+  NOFID,
+  NOTAG,
+  QTDIR,
+  QTFILE,
+  OREAD,
+  OWRITE,
+  ORDWR,
+  FrameParser,
+  encodeMessage,
+  decodeMessage,
+  decodeDirectory
+} from '../src/ninep.js';
+import { sleep } from './helpers.js';
+
+/**
+ * Minimal 9P client: one outstanding request per tag
+ */
+async function connect(address) {
+  const socket = net.connect(address);
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+
+  const waiting = new Map();
+  const parser = new FrameParser((frame) => {
+    const reply = decodeMessage(frame);
+    const resolve = waiting.get(reply.tag);
+    waiting.delete(reply.tag);
+    resolve(reply);
+  });
+  socket.on('data', (chunk) => parser.push(chunk));
+
+  let nextTag = 1;
+  return {
+    socket,
+    rpc(message) {
+      const tag = message.type === MessageType.Tversion ? NOTAG : nextTag++;
+      return new Promise((resolve) => {
+        waiting.set(tag, resolve);
+        socket.write(encodeMessage({ ...message, tag }));
+      });
+    },
+    raw(buffer) {
+      return new Promise((resolve) => {
+        waiting.set(buffer.readUInt16LE(5), resolve);
+        socket.write(buffer);
+      });
+    },
+    close() {
+      socket.destroy();
+    }
+  };
+}
+
+async function setup(t, listenOptions) {
+  const registry = new ServiceRegistry();
+  registry.register('echo', {
+    onMessage: async (message) => ({ echo: message })
+  });
+  registry.register('fail', {
+    onMessage: async () => {
+      throw new Error('handler exploded');
+    }
+  });
+  await registry.startAll();
+
+  const server = new NinePServer(registry);
+  const address = await server.listen(listenOptions);
+  const client = await connect(typeof address === 'string' ? { path: address } : { port: address.port, host: '127.0.0.1' });
+
+  t.after(async () => {
+    client.close();
+    await server.close();
+    await registry.stopAll();
+  });
+
+  const version = await client.rpc({ type: MessageType.Tversion, msize: 8192, version: '9P2000' });
+  assert.strictEqual(version.type, MessageType.Rversion);
+  const attach = await client.rpc({ type: MessageType.Tattach, fid: 0, afid: NOFID, uname: 'glenda', aname: '' });
+  assert.strictEqual(attach.type, MessageType.Rattach);
+  assert.strictEqual(attach.qid.type, QTDIR);
+
+  return { registry, server, client };
+}
+
+test('9P codec: encode/decode round trip', async (t) => {
+  const frame = encodeMessage({
+    type: MessageType.Twalk,
+    tag: 7,
+    fid: 1,
+    newfid: 2,
+    wnames: ['srv', 'echo']
+  });
+
+  assert.strictEqual(frame.readUInt32LE(0), frame.length);
+  const message = decodeMessage(frame);
+  assert.deepStrictEqual(message, {
+    type: MessageType.Twalk,
+    tag: 7,
+    fid: 1,
+    newfid: 2,
+    wnames: ['srv', 'echo']
+  });
+});
+
+test('9P codec: frame parser reassembles split and coalesced frames', async (t) => {
+  const frames = [];
+  const parser = new FrameParser((frame) => frames.push(decodeMessage(frame)));
+
+  const a = encodeMessage({ type: MessageType.Tclunk, tag: 1, fid: 5 });
+  const b = encodeMessage({ type: MessageType.Tread, tag: 2, fid: 5, offset: 10, count: 100 });
+  const stream = Buffer.concat([a, b]);
+
+  parser.push(stream.subarray(0, 3));
+  parser.push(stream.subarray(3, a.length + 4));
+  assert.strictEqual(frames.length, 1);
+  parser.push(stream.subarray(a.length + 4));
+
+  assert.strictEqual(frames.length, 2);
+  assert.strictEqual(frames[0].fid, 5);
+  assert.strictEqual(frames[1].offset, 10);
+  assert.strictEqual(frames[1].count, 100);
+});
+
+test('NinePServer: version negotiation over TCP', async (t) => {
+  const { client } = await setup(t, { port: 0, host: '127.0.0.1' });
+
+  const reply = await client.rpc({ type: MessageType.Tversion, msize: 1 << 20, version: '9P2000.u' });
+  assert.strictEqual(reply.version, '9P2000');
+  assert.strictEqual(reply.msize, 8192);
+
+  const unknown = await client.rpc({ type: MessageType.Tversion, msize: 4096, version: 'HTTP/1.1' });
+  assert.strictEqual(unknown.version, 'unknown');
+});
+
+test('NinePServer: walk, open, write and read a data file over a Unix socket', async (t) => {
+  const socketPath = path.join(os.tmpdir(), `eiasw-9p-${process.pid}.sock`);
+  const { client } = await setup(t, { path: socketPath });
+
+  const walk = await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv', 'echo', 'data'] });
+  assert.strictEqual(walk.type, MessageType.Rwalk);
+  assert.deepStrictEqual(walk.qids.map((q) => q.type), [QTDIR, QTDIR, QTFILE]);
+
+  const open = await client.rpc({ type: MessageType.Topen, fid: 1, mode: ORDWR });
+  assert.strictEqual(open.type, MessageType.Ropen);
+  assert.ok(open.iounit > 0);
+
+  const data = Buffer.from(JSON.stringify({ text: 'hello' }));
+  const write = await client.rpc({ type: MessageType.Twrite, fid: 1, offset: 0, data });
+  assert.strictEqual(write.count, data.length);
+
+  const read = await client.rpc({ type: MessageType.Tread, fid: 1, offset: 0, count: 8192 });
+  assert.deepStrictEqual(JSON.parse(read.data.toString()), { echo: { text: 'hello' } });
+
+  const eof = await client.rpc({ type: MessageType.Tread, fid: 1, offset: read.data.length, count: 8192 });
+  assert.strictEqual(eof.data.length, 0);
+
+  const clunk = await client.rpc({ type: MessageType.Tclunk, fid: 1 });
+  assert.strictEqual(clunk.type, MessageType.Rclunk);
+});
+
+test('NinePServer: directory reads list registered services', async (t) => {
+  const { client } = await setup(t, { port: 0, host: '127.0.0.1' });
+
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv'] });
+  await client.rpc({ type: MessageType.Topen, fid: 1, mode: OREAD });
+  const read = await client.rpc({ type: MessageType.Tread, fid: 1, offset: 0, count: 8192 });
+
+  const entries = decodeDirectory(read.data);
+  assert.deepStrictEqual(entries.map((e) => e.name).sort(), ['echo', 'fail']);
+
+  const stat = await client.rpc({ type: MessageType.Tstat, fid: 1 });
+  assert.strictEqual(stat.stat.name, 'srv');
+  assert.strictEqual(stat.stat.qid.type, QTDIR);
+});
+
+test('NinePServer: fid table errors', async (t) => {
+  const { client } = await setup(t, { port: 0, host: '127.0.0.1' });
+
+  let reply = await client.rpc({ type: MessageType.Tclunk, fid: 99 });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+  assert.match(reply.ename, /fid unknown/);
+
+  reply = await client.rpc({ type: MessageType.Tattach, fid: 0, afid: NOFID, uname: '', aname: '' });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+  assert.match(reply.ename, /fid already in use/);
+
+  reply = await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 0, wnames: [] });
+  assert.strictEqual(reply.type, MessageType.Rwalk);
+
+  reply = await client.rpc({ type: MessageType.Tread, fid: 0, offset: 0, count: 10 });
+  assert.match(reply.ename, /not open/);
+
+  // Clunked fids are gone
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 2, wnames: ['srv'] });
+  await client.rpc({ type: MessageType.Tclunk, fid: 2 });
+  reply = await client.rpc({ type: MessageType.Tstat, fid: 2 });
+  assert.match(reply.ename, /fid unknown/);
+});
+
+test('NinePServer: walk errors and partial walks', async (t) => {
+  const { client } = await setup(t, { port: 0, host: '127.0.0.1' });
+
+  let reply = await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['nope'] });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+  assert.match(reply.ename, /does not exist/);
+
+  // A partial walk returns the qids walked so far and does not bind newfid
+  reply = await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv', 'missing'] });
+  assert.strictEqual(reply.type, MessageType.Rwalk);
+  assert.strictEqual(reply.qids.length, 1);
+  reply = await client.rpc({ type: MessageType.Tstat, fid: 1 });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+
+  reply = await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv', 'echo', 'data', 'deeper'] });
+  assert.strictEqual(reply.qids.length, 3);
+});
+
+test('NinePServer: handler errors and bad requests become Rerror', async (t) => {
+  const { client } = await setup(t, { port: 0, host: '127.0.0.1' });
+
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv', 'fail', 'data'] });
+  await client.rpc({ type: MessageType.Topen, fid: 1, mode: ORDWR });
+  let reply = await client.rpc({ type: MessageType.Twrite, fid: 1, offset: 0, data: Buffer.from('{}') });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+  assert.strictEqual(reply.ename, 'handler exploded');
+
+  // Directories cannot be opened for writing
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 2, wnames: ['srv'] });
+  reply = await client.rpc({ type: MessageType.Topen, fid: 2, mode: ORDWR });
+  assert.match(reply.ename, /permission denied/);
+
+  reply = await client.rpc({ type: MessageType.Tcreate, fid: 2, name: 'x', perm: 0o666, mode: ORDWR });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+
+  // Unknown message type with a valid header
+  const bogus = Buffer.alloc(7);
+  bogus.writeUInt32LE(7, 0);
+  bogus.writeUInt8(200, 4);
+  bogus.writeUInt16LE(42, 5);
+  reply = await client.raw(bogus);
+  assert.strictEqual(reply.type, MessageType.Rerror);
+  assert.strictEqual(reply.tag, 42);
+});
+
+test('NinePServer: stopped services reply with Rerror', async (t) => {
+  const { registry, client } = await setup(t, { port: 0, host: '127.0.0.1' });
+  await registry.stop('echo');
+
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv', 'echo', 'data'] });
+  await client.rpc({ type: MessageType.Topen, fid: 1, mode: ORDWR });
+  const reply = await client.rpc({ type: MessageType.Twrite, fid: 1, offset: 0, data: Buffer.from('"ping"') });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+  assert.match(reply.ename, /not running/);
+});
+
+test('NinePServer: control a service through its ctl and status files', async (t) => {
+  const { registry, client } = await setup(t, { port: 0, host: '127.0.0.1' });
+
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv', 'echo', 'ctl'] });
+  await client.rpc({ type: MessageType.Topen, fid: 1, mode: OWRITE });
+  const reply = await client.rpc({ type: MessageType.Twrite, fid: 1, offset: 0, data: Buffer.from('stop\n') });
+  assert.strictEqual(reply.type, MessageType.Rwrite);
+  assert.strictEqual(registry.get('echo').state, 'stopped');
+
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 2, wnames: ['srv', 'echo', 'status'] });
+  await client.rpc({ type: MessageType.Topen, fid: 2, mode: OREAD });
+  const read = await client.rpc({ type: MessageType.Tread, fid: 2, offset: 0, count: 8192 });
+  assert.strictEqual(JSON.parse(read.data.toString()).state, 'stopped');
+
+  // status is read-only
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 3, wnames: ['srv', 'echo', 'status'] });
+  const denied = await client.rpc({ type: MessageType.Topen, fid: 3, mode: OWRITE });
+  assert.match(denied.ename, /permission denied/);
+});
+
+test('NinePServer: per-connection namespaces', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('logger', { onMessage: async (message) => ({ logged: message }) });
+  await registry.start('logger');
+
+  const server = new NinePServer(registry, {
+    namespace: () => {
+      const ns = registry.namespace();
+      ns.mount('logger', '/log');
+      return ns;
+    }
+  });
+  const address = await server.listen({ port: 0, host: '127.0.0.1' });
+  const client = await connect({ port: address.port, host: '127.0.0.1' });
+  t.after(async () => {
+    client.close();
+    await server.close();
+    await registry.stopAll();
+  });
+
+  await client.rpc({ type: MessageType.Tversion, msize: 8192, version: '9P2000' });
+  await client.rpc({ type: MessageType.Tattach, fid: 0, afid: NOFID, uname: '', aname: '' });
+
+  const walk = await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['log', 'data'] });
+  assert.strictEqual(walk.qids.length, 2);
+  await client.rpc({ type: MessageType.Topen, fid: 1, mode: ORDWR });
+  await client.rpc({ type: MessageType.Twrite, fid: 1, offset: 0, data: Buffer.from('"hi"') });
+  const read = await client.rpc({ type: MessageType.Tread, fid: 1, offset: 0, count: 8192 });
+  assert.deepStrictEqual(JSON.parse(read.data.toString()), { logged: 'hi' });
+});
+
+test('NinePServer: broken connections are dropped without taking the server down', async (t) => {
+  const { server, client } = await setup(t, { port: 0, host: '127.0.0.1' });
+  const { port } = server.address();
+
+  const misbehave = async (act) => {
+    const socket = net.connect({ port, host: '127.0.0.1' });
+    socket.on('error', () => {});
+    await new Promise((resolve) => socket.once('connect', resolve));
+    const closed = new Promise((resolve) => socket.once('close', resolve));
+    act(socket);
+    await closed;
+    while (server.sessions.size > 1) {
+      await sleep(5);
+    }
+  };
+  const frameSize = (size) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(size, 0);
+    return header;
+  };
+
+  // Nobody listens for 'error' here, so each of these would otherwise throw
+  await misbehave((socket) => socket.resetAndDestroy());
+  await misbehave((socket) => socket.write(Buffer.from([3, 0, 0, 0])));
+  await misbehave((socket) => socket.write(frameSize(0xffffffff)));
+  await misbehave((socket) => socket.write(frameSize(8193)));
+
+  const errors = [];
+  server.on('error', (error) => errors.push(error.message));
+  await misbehave((socket) => socket.write(frameSize(3)));
+  assert.deepStrictEqual(errors, ['Invalid 9P frame size: 3']);
+
+  // The negotiated msize caps frames too
+  const reply = await client.rpc({ type: MessageType.Tversion, msize: 256, version: '9P2000' });
+  assert.strictEqual(reply.msize, 256);
+  client.socket.write(frameSize(257));
+  await new Promise((resolve) => client.socket.once('close', resolve));
+  assert.deepStrictEqual(errors.slice(1), ['9P frame size 257 exceeds msize 256']);
+  assert.strictEqual(server.sessions.size, 0);
+});
+
+test('NinePServer: long error strings are cut to fit an Rerror', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('a', { onMessage: async () => {} });
+  await registry.start('a');
+  const server = new NinePServer(registry, { msize: 200000 });
+  const address = await server.listen({ port: 0, host: '127.0.0.1' });
+  const client = await connect({ port: address.port, host: '127.0.0.1' });
+  t.after(async () => {
+    client.close();
+    await server.close();
+    await registry.stopAll();
+  });
+
+  await client.rpc({ type: MessageType.Tversion, msize: 200000, version: '9P2000' });
+  await client.rpc({ type: MessageType.Tattach, fid: 0, afid: NOFID, uname: '', aname: '' });
+  await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 1, wnames: ['srv', 'a', 'ctl'] });
+  await client.rpc({ type: MessageType.Topen, fid: 1, mode: OWRITE });
+
+  const reply = await client.rpc({ type: MessageType.Twrite, fid: 1, offset: 0, data: Buffer.alloc(70000, 'x') });
+  assert.strictEqual(reply.type, MessageType.Rerror);
+  assert.match(reply.ename, /^unknown control message: x+\.\.\.$/);
+  assert.strictEqual(Buffer.byteLength(reply.ename), 128);
+
+  // The connection is still usable, and a reply over the msize becomes an Rerror
+  const long = 'b'.repeat(1000);
+  registry.register(long, { onMessage: async () => {} });
+  await client.rpc({ type: MessageType.Tversion, msize: 1040, version: '9P2000' });
+  await client.rpc({ type: MessageType.Tattach, fid: 0, afid: NOFID, uname: '', aname: '' });
+  const walk = await client.rpc({ type: MessageType.Twalk, fid: 0, newfid: 2, wnames: ['srv', long] });
+  assert.strictEqual(walk.type, MessageType.Rwalk);
+  const stat = await client.rpc({ type: MessageType.Tstat, fid: 2 });
+  assert.strictEqual(stat.ename, 'reply too large');
+});
@@ -166,3 +166,56 @@ test('Stress: rapid start/stop cycles', async (t) => {
   assert.strictEqual(startCount, 10);
   assert.strictEqual(stopCount, 10);
 });
+
+test('Performance: control messages overtake a large bulk backlog', async (t) => {
+  const handled = [];
+  let release;
+
+  const worker = new ServiceWorker('priority-worker', {
+    onMessage: async (message) => {
+      if (message.type === 'block') {
+        await new Promise(resolve => { release = resolve; });
+      }
+      handled.push(message.type);
+    }
+  });
+  await worker.start();
+
+  const promises = [worker.send({ type: 'block' })];
+  for (let i = 0; i < 10000; i++) {
+    promises.push(worker.send({ type: 'bulk' }));
+  }
+  promises.push(worker.send({ type: 'probe' }, { priority: 100 }));
+
+  release();
+  await Promise.all(promises);
+
+  // The probe ran right after the blocking message, not after 10000 bulk messages
+  assert.strictEqual(handled[1], 'probe');
+  assert.strictEqual(handled.length, 10002);
+
+  await worker.stop();
+});
+
+test('Performance: priority queue stays logarithmic', async (t) => {
+  const { MessageQueue } = await import('../src/queue.js');
+
+  const timeFor = (count) => {
+    const queue = new MessageQueue();
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < count; i++) {
+      queue.push({ priority: i % 10 });
+    }
+    while (queue.shift()) {
+      // drain
+    }
+    return Number(process.hrtime.bigint() - start);
+  };
+
+  timeFor(10000); // warm up
+  const small = timeFor(20000);
+  const large = timeFor(200000);
+
+  // 10x the items should cost far less than the 100x of a quadratic queue
+  assert.ok(large / small < 40, `200k items took ${(large / small).toFixed(1)}x as long as 20k`);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFile, appendFile } from 'fs/promises';
+import { join } from 'path';
+import {
+  ServiceRegistry,
+  ServiceWorker,
+  MemoryStore,
+  JsonFileStore,
+  LogStore
+} from '../src/index.js';
+import { tempDir } from './helpers.js';
+
+const counter = {
+  onStart: async (context) => {
+    context.count = context.count ?? 0;
+  },
+  onMessage: async (message, context) => ++context.count
+};
+
+test('Persistence: context survives a new registry', async (t) => {
+  const dir = await tempDir(t);
+  const stores = {
+    memory: () => shared,
+    json: () => new JsonFileStore(join(dir, 'state.json')),
+    log: () => new LogStore(join(dir, 'state.log'))
+  };
+  const shared = new MemoryStore();
+
+  for (const [kind, createStore] of Object.entries(stores)) {
+    const first = new ServiceRegistry();
+    first.register('counter', counter, { persistence: { store: createStore() } });
+    await first.start('counter');
+    await first.send('counter', 'tick');
+    await first.send('counter', 'tick');
+    await first.stop('counter');
+
+    // A fresh registry, as after a process restart
+    const second = new ServiceRegistry();
+    second.register('counter', counter, { persistence: { store: createStore() } });
+    await second.start('counter');
+    assert.strictEqual(await second.send('counter', 'tick'), 3, `${kind} store`);
+    await second.stop('counter');
+  }
+});
+
+test('Persistence: serialize hooks carry non-JSON state', async (t) => {
+  const store = new MemoryStore();
+  const handler = {
+    onStart: async (context) => {
+      context.files = context.files ?? new Map();
+    },
+    onMessage: async ({ path, content }, context) => {
+      if (content !== undefined) context.files.set(path, content);
+      return context.files.get(path);
+    }
+  };
+  const persistence = {
+    store,
+    serialize: (context) => ({ files: [...context.files] }),
+    deserialize: (snapshot) => ({ files: new Map(snapshot.files) })
+  };
+
+  const first = new ServiceWorker('fs', handler, { persistence });
+  await first.start();
+  await first.send({ path: '/hello.txt', content: 'Hello' });
+  await first.stop();
+
+  const second = new ServiceWorker('fs', handler, { persistence });
+  await second.start();
+  assert.ok(second.context.files instanceof Map);
+  assert.strictEqual(await second.send({ path: '/hello.txt' }), 'Hello');
+  await second.stop();
+});
+
+test('Persistence: interval snapshots capture state without a clean stop', async (t) => {
+  const store = new MemoryStore();
+  const worker = new ServiceWorker('counter', counter, { persistence: { store, interval: 10 } });
+  await worker.start();
+  await worker.send('tick');
+
+  await new Promise((resolve) => worker.once('snapshot', resolve));
+  assert.deepStrictEqual(await store.load('counter'), { count: 1 });
+
+  // Stopping clears the timer
+  await worker.stop();
+  assert.strictEqual(worker.snapshotTimer, null);
+});
+
+test('Persistence: failed interval snapshots are reported', async (t) => {
+  const store = {
+    load: async () => undefined,
+    save: async () => { throw new Error('disk full'); }
+  };
+  const registry = new ServiceRegistry();
+  registry.register('counter', counter, { persistence: { store, interval: 10 } });
+  await registry.start('counter');
+
+  const { name, error } = await new Promise((resolve) => registry.once('service:snapshot-error', resolve));
+  assert.strictEqual(name, 'counter');
+  assert.strictEqual(error.message, 'disk full');
+  assert.strictEqual(registry.get('counter').state, 'running');
+
+  // The snapshot on stop fails the stop instead
+  registry.on('service:error', () => {});
+  await assert.rejects(registry.stop('counter'), /disk full/);
+});
+
+test('Persistence: JsonFileStore keeps services side by side', async (t) => {
+  const path = join(await tempDir(t), 'state.json');
+  const store = new JsonFileStore(path);
+
+  await Promise.all([store.save('a', { n: 1 }), store.save('b', { n: 2 }), store.save('a', { n: 3 })]);
+  assert.deepStrictEqual(JSON.parse(await readFile(path, 'utf8')), { a: { n: 3 }, b: { n: 2 } });
+  assert.strictEqual(await store.load('missing'), undefined);
+});
+
+test('Persistence: LogStore ignores a torn write and compacts', async (t) => {
+  const path = join(await tempDir(t), 'state.log');
+  const store = new LogStore(path);
+
+  await store.save('a', { n: 1 });
+  await store.save('b', { n: 2 });
+  await store.save('a', { n: 3 });
+  await appendFile(path, '{"name":"a","snap');
+
+  assert.deepStrictEqual(await store.load('a'), { n: 3 });
+  await store.compact();
+
+  const lines = (await readFile(path, 'utf8')).trim().split('\n');
+  assert.strictEqual(lines.length, 2);
+  assert.deepStrictEqual(await store.load('a'), { n: 3 });
+  assert.deepStrictEqual(await store.load('b'), { n: 2 });
+});
+
+test('Persistence: a store is required', async (t) => {
+  assert.throws(() => new ServiceWorker('x', counter, { persistence: {} }), /needs a store/);
+  await assert.rejects(new ServiceWorker('x', counter).snapshot(), /no persistence store/);
+});
@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceWorker } from '../src/index.js';
+import { MessageQueue } from '../src/queue.js';
+import { sleep } from './helpers.js';
+
+test('Priority: higher priorities are handled first', async (t) => {
+  const handled = [];
+  let release;
+  const worker = new ServiceWorker('prio', {
+    onMessage: async (message) => {
+      if (message === 'block') {
+        await new Promise((resolve) => { release = resolve; });
+        return;
+      }
+      handled.push(message);
+    }
+  });
+  await worker.start();
+  const blocker = worker.send('block');
+
+  const pending = [
+    worker.send('bulk-1'),
+    worker.send('bulk-2'),
+    worker.send('probe', { priority: 10 }),
+    worker.send('flush', { priority: 5 }),
+    worker.send('bulk-3')
+  ];
+  release();
+  await Promise.all([blocker, ...pending]);
+
+  assert.deepStrictEqual(handled, ['probe', 'flush', 'bulk-1', 'bulk-2', 'bulk-3']);
+  await worker.stop();
+});
+
+test('Priority: ordering is stable within a priority', async (t) => {
+  const handled = [];
+  let release;
+  const worker = new ServiceWorker('prio', {
+    onMessage: async (message) => {
+      if (message === 'block') {
+        await new Promise((resolve) => { release = resolve; });
+        return;
+      }
+      handled.push(message);
+    }
+  });
+  await worker.start();
+  const blocker = worker.send('block');
+
+  const pending = [];
+  for (let i = 0; i < 20; i++) {
+    pending.push(worker.send(`p${i % 2}-${i}`, { priority: i % 2 }));
+  }
+  release();
+  await Promise.all([blocker, ...pending]);
+
+  const high = handled.filter((m) => m.startsWith('p1'));
+  const low = handled.filter((m) => m.startsWith('p0'));
+  assert.deepStrictEqual(handled, [...high, ...low]);
+  assert.deepStrictEqual(high, high.slice().sort((a, b) => Number(a.split('-')[1]) - Number(b.split('-')[1])));
+  assert.deepStrictEqual(low, low.slice().sort((a, b) => Number(a.split('-')[1]) - Number(b.split('-')[1])));
+  await worker.stop();
+});
+
+test('Priority: aging lets waiting low-priority work through', async (t) => {
+  const handled = [];
+  let release;
+  const worker = new ServiceWorker('prio', {
+    onMessage: async (message) => {
+      if (message === 'block') {
+        await new Promise((resolve) => { release = resolve; });
+        return;
+      }
+      handled.push(message);
+    }
+  }, { mailbox: { agingInterval: 5 } });
+  await worker.start();
+  const blocker = worker.send('block');
+
+  const old = worker.send('old-low', { priority: 0 });
+  await sleep(30);
+  // Waiting 30ms at 5ms per level outranks a fresh priority 2 message
+  const fresh = worker.send('fresh-high', { priority: 2 });
+  release();
+  await Promise.all([blocker, old, fresh]);
+
+  assert.deepStrictEqual(handled, ['old-low', 'fresh-high']);
+  await worker.stop();
+});
+
+test('Priority: strict priority without aging', async (t) => {
+  const handled = [];
+  let release;
+  const worker = new ServiceWorker('prio', {
+    onMessage: async (message) => {
+      if (message === 'block') {
+        await new Promise((resolve) => { release = resolve; });
+        return;
+      }
+      handled.push(message);
+    }
+  }, { mailbox: { agingInterval: Infinity } });
+  await worker.start();
+  const blocker = worker.send('block');
+
+  const old = worker.send('old-low', { priority: 0 });
+  await sleep(10);
+  const fresh = worker.send('fresh-high', { priority: 1 });
+  release();
+  await Promise.all([blocker, old, fresh]);
+
+  assert.deepStrictEqual(handled, ['fresh-high', 'old-low']);
+  await worker.stop();
+});
+
+test('Priority: partition keys still keep send order', async (t) => {
+  const handled = [];
+  let release;
+  const worker = new ServiceWorker('prio', {
+    onMessage: async (message) => {
+      if (message === 'block') {
+        await new Promise((resolve) => { release = resolve; });
+        return;
+      }
+      handled.push(message);
+    }
+  }, {
+    partitionKey: (message) => (typeof message === 'string' ? null : message.key)
+  });
+  await worker.start();
+  const blocker = worker.send('block');
+
+  const pending = [
+    worker.send({ key: 'a', n: 1 }),
+    worker.send({ key: 'a', n: 2 }, { priority: 10 }),
+    worker.send({ key: 'b', n: 1 }, { priority: 5 })
+  ];
+  release();
+  await Promise.all([blocker, ...pending]);
+
+  assert.deepStrictEqual(handled.map((m) => `${m.key}${m.n}`), ['b1', 'a1', 'a2']);
+  await worker.stop();
+});
+
+test('Priority: drop-oldest drops the first arrival, not the most urgent', async (t) => {
+  const handled = [];
+  let release;
+  const worker = new ServiceWorker('prio', {
+    onMessage: async (message) => {
+      if (message === 'block') {
+        await new Promise((resolve) => { release = resolve; });
+        return;
+      }
+      handled.push(message);
+    }
+  }, { mailbox: { capacity: 2, overflow: 'drop-oldest' } });
+  await worker.start();
+  const blocker = worker.send('block');
+
+  const oldLow = worker.send('old-low');
+  const urgent = worker.send('urgent', { priority: 10 });
+  const newer = worker.send('new');
+  await assert.rejects(oldLow, { code: 'EDROPPED' });
+  release();
+  await Promise.all([blocker, urgent, newer]);
+
+  assert.deepStrictEqual(handled, ['urgent', 'new']);
+  await worker.stop();
+});
+
+test('MessageQueue: oldest looks past the heap order and into parked keys', async (t) => {
+  const queue = new MessageQueue();
+  const a1 = { key: 'a' };
+  const bulk = {};
+  const a2 = { key: 'a' };
+  const urgent = { priority: 10 };
+  for (const item of [a1, bulk, a2, urgent]) {
+    queue.push(item);
+  }
+  assert.strictEqual(queue.shift(), urgent);
+  assert.strictEqual(queue.oldest(), a1);
+
+  // With a1 in flight, key a's next item waits parked outside the heap
+  assert.strictEqual(queue.shift(), a1);
+  assert.strictEqual(queue.oldest(), bulk);
+  queue.remove(bulk);
+  assert.strictEqual(queue.oldest(), a2);
+});
+
+test('Priority: invalid priorities are rejected', async (t) => {
+  const worker = new ServiceWorker('invalid', { onMessage: async () => {} });
+  await worker.start();
+  await assert.rejects(worker.send({}, { priority: 'high' }), TypeError);
+  await worker.stop();
+});
+
+test('MessageQueue: remove keeps the heap ordered', async (t) => {
+  const queue = new MessageQueue({ agingInterval: Infinity });
+  const items = [];
+  for (let i = 0; i < 50; i++) {
+    const item = { id: i, priority: (i * 7) % 5 };
+    items.push(item);
+    queue.push(item);
+  }
+
+  for (const item of items.filter((item) => item.id % 3 === 0)) {
+    assert.strictEqual(queue.remove(item), true);
+  }
+  assert.strictEqual(queue.remove(items[0]), false);
+  assert.strictEqual(queue.length, 33);
+
+  const out = [];
+  let item;
+  while ((item = queue.shift())) out.push(item);
+
+  assert.strictEqual(out.length, 33);
+  for (let i = 1; i < out.length; i++) {
+    const [a, b] = [out[i - 1], out[i]];
+    assert.ok(a.priority > b.priority || (a.priority === b.priority && a.id < b.id));
+  }
+});
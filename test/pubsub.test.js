@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry, MemoryJournal, ServiceWorker } from '../src/index.js';
+import { matchTopic, parsePattern, parseTopic } from '../src/topics.js';
+
+const matches = (pattern, topic) => matchTopic(parsePattern(pattern), parseTopic(topic));
+
+test('PubSub: events fan out to matching subscribers', async (t) => {
+  const registry = new ServiceRegistry();
+  const seen = { logger: [], indexer: [] };
+
+  registry.register('fileServer', {
+    onMessage: async ({ path, content }) => {
+      // The publisher does not know who listens
+      await registry.publish('file.written', { path, size: content.length });
+      return true;
+    }
+  });
+  registry.register('logger', {
+    subscriptions: ['file.*', 'audit.#'],
+    onMessage: async (payload, context, { topic }) => {
+      seen.logger.push(`${topic}:${payload.path}`);
+    }
+  });
+  registry.register('indexer', {
+    subscriptions: ['file.written'],
+    onMessage: async (payload, context, meta) => {
+      seen.indexer.push(meta.topic);
+      return payload.size;
+    }
+  });
+  await registry.startAll();
+
+  await registry.send('fileServer', { path: '/a.txt', content: 'hello' });
+  await registry.publish('audit.login.failed', { path: '-' });
+  const results = await registry.publish('file.written', { path: '/b.txt', size: 3 });
+
+  assert.deepStrictEqual(seen.logger, ['file.written:/a.txt', 'audit.login.failed:-', 'file.written:/b.txt']);
+  assert.deepStrictEqual(seen.indexer, ['file.written', 'file.written']);
+  assert.deepStrictEqual(results, [
+    { service: 'logger', status: 'fulfilled', value: undefined },
+    { service: 'indexer', status: 'fulfilled', value: 3 }
+  ]);
+  await registry.stopAll();
+});
+
+test('PubSub: events share the subscriber mailbox and its ordering', async (t) => {
+  const registry = new ServiceRegistry();
+  const order = [];
+  let release;
+  registry.register('sink', {
+    subscriptions: ['tick'],
+    onMessage: async (message, context, { topic }) => {
+      if (message === 'hold') await new Promise((resolve) => { release = resolve; });
+      order.push(topic ? `event:${message}` : `send:${message}`);
+    }
+  });
+  await registry.start('sink');
+
+  const pending = [
+    registry.send('sink', 'hold'),
+    registry.publish('tick', 1),
+    registry.send('sink', 2),
+    registry.publish('tick', 3)
+  ];
+  assert.strictEqual(registry.get('sink').getState().queueLength, 3);
+  release();
+  await Promise.all(pending);
+
+  assert.deepStrictEqual(order, ['send:hold', 'event:1', 'send:2', 'event:3']);
+  await registry.stop('sink');
+});
+
+test('PubSub: failing or stopped subscribers do not fail the publisher', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('broken', {
+    subscriptions: ['anything.#'],
+    onMessage: async () => { throw new Error('subscriber failed'); }
+  });
+  registry.register('asleep', { subscriptions: ['#'], onMessage: async () => 'never' });
+  await registry.start('broken');
+
+  const published = [];
+  registry.on('published', (e) => published.push(e));
+  const [result] = await registry.publish('anything.at.all', {});
+  assert.strictEqual(result.service, 'broken');
+  assert.strictEqual(result.status, 'rejected');
+  assert.strictEqual(result.reason.message, 'subscriber failed');
+  assert.deepStrictEqual(published, [{ topic: 'anything.at.all', subscribers: ['broken'] }]);
+
+  assert.deepStrictEqual(await registry.publish('nobody.listens', {}), []);
+  await registry.stop('broken');
+});
+
+test('PubSub: events bypass contracts and are journaled with their topic', async (t) => {
+  const journal = new MemoryJournal();
+  const registry = new ServiceRegistry();
+  const topics = [];
+  const handler = {
+    subscriptions: ['file.*'],
+    contract: { operations: { count: {} } },
+    onStart: async (context) => {
+      context.events = context.events ?? 0;
+    },
+    onMessage: async (message, context, meta) => {
+      if (meta.topic) {
+        topics.push(meta.topic);
+        return ++context.events;
+      }
+      return context.events;
+    }
+  };
+  registry.register('counter', handler, { journal: { store: journal } });
+  await registry.start('counter');
+
+  await registry.publish('file.deleted', { path: '/x' });
+  assert.strictEqual(await registry.send('counter', { action: 'count' }), 1);
+  await assert.rejects(registry.send('counter', { path: '/x' }), /must be one of count/);
+
+  // Replay hands the topic back to the handler
+  const replayed = new ServiceWorker('counter', handler, { journal: { store: journal } });
+  await replayed.start();
+  assert.strictEqual(replayed.context.events, 1);
+  assert.deepStrictEqual(topics, ['file.deleted', 'file.deleted']);
+  await registry.stop('counter');
+});
+
+test('PubSub: wildcard matching', async (t) => {
+  assert.ok(matches('file.*', 'file.written'));
+  assert.ok(!matches('file.*', 'file'));
+  assert.ok(!matches('file.*', 'file.meta.changed'));
+  assert.ok(matches('file.#', 'file'));
+  assert.ok(matches('file.#', 'file.meta.changed'));
+  assert.ok(matches('*.written', 'dir.written'));
+  assert.ok(matches('#.failed', 'audit.login.failed'));
+  assert.ok(matches('a.#.z', 'a.z'));
+  assert.ok(matches('a.#.z', 'a.b.c.z'));
+  assert.ok(!matches('a.#.z', 'a.b.c'));
+
+  assert.throws(() => parseTopic('file.*'), /Invalid topic/);
+  assert.throws(() => parseTopic('file..x'), /Invalid topic/);
+  assert.throws(() => new ServiceWorker('x', { subscriptions: [''] }), /Invalid subscription pattern/);
+});
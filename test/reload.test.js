@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import { ServiceRegistry } from '../src/index.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/counter-service.js', import.meta.url));
+
+test('Reload: queued messages are handled by the new handler', async (t) => {
+  const registry = new ServiceRegistry();
+  let release;
+  registry.register('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async (message, context) => {
+      if (message === 'hold') {
+        await new Promise((resolve) => { release = resolve; });
+      }
+      return `v1:${++context.count}`;
+    }
+  });
+  await registry.start('counter');
+
+  const reloaded = [];
+  registry.on('service:reloaded', (e) => reloaded.push(e.name));
+
+  const held = registry.send('counter', 'hold');
+  const queued = [registry.send('counter', 'a'), registry.send('counter', 'b')];
+  const reload = registry.reload('counter', {
+    onMessage: async (message, context) => `v2:${++context.count}`
+  });
+
+  // Intake is paused while the in-flight message finishes
+  const late = registry.send('counter', 'c');
+  assert.deepStrictEqual(reloaded, []);
+  release();
+
+  assert.strictEqual(await reload, true);
+  assert.strictEqual(await held, 'v1:1');
+  assert.deepStrictEqual(await Promise.all([...queued, late]), ['v2:2', 'v2:3', 'v2:4']);
+  assert.deepStrictEqual(reloaded, ['counter']);
+  await registry.stop('counter');
+});
+
+test('Reload: migrate converts the old context', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async (message, context) => `v1:${++context.count}`
+  });
+  await registry.start('counter');
+  await registry.send('counter', 'a');
+  await registry.send('counter', 'b');
+
+  await registry.reload('counter', {
+    migrate: async (old) => ({ totals: { all: old.count } }),
+    onMessage: async (message, context) => ++context.totals.all
+  });
+
+  assert.strictEqual(await registry.send('counter', 'c'), 3);
+  assert.deepStrictEqual(registry.get('counter').context, { totals: { all: 3 } });
+  await registry.stop('counter');
+});
+
+test('Reload: a failed migration rolls back', async (t) => {
+  const registry = new ServiceRegistry();
+  let release;
+  registry.register('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async (message, context) => {
+      if (message === 'hold') {
+        await new Promise((resolve) => { release = resolve; });
+      }
+      return `v1:${++context.count}`;
+    }
+  });
+  await registry.start('counter');
+
+  const held = registry.send('counter', 'hold');
+  const queued = registry.send('counter', 'a');
+  const reload = registry.reload('counter', {
+    migrate: async () => { throw new Error('incompatible state'); },
+    onMessage: async () => 'v2'
+  });
+  release();
+
+  await assert.rejects(reload, /incompatible state/);
+  assert.strictEqual(await held, 'v1:1');
+  assert.strictEqual(await queued, 'v1:2');
+  assert.deepStrictEqual(registry.get('counter').context, { count: 2 });
+  await registry.stop('counter');
+});
+
+test('Reload: a migration that changes the context and then throws leaves it untouched', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async (message, context) => `v1:${++context.count}`
+  });
+  await registry.start('counter');
+  await registry.send('counter', 'a');
+  const before = registry.get('counter').context;
+
+  await assert.rejects(registry.reload('counter', {
+    migrate: async (old) => {
+      old.count = String(old.count);
+      old.items = [];
+      throw new Error('halfway');
+    },
+    onMessage: async () => 'v2'
+  }), /halfway/);
+  assert.strictEqual(registry.get('counter').context, before);
+  assert.deepStrictEqual(before, { count: 1 });
+
+  // A migration may also change its copy in place and return nothing
+  await registry.reload('counter', {
+    migrate: async (old) => { old.count *= 10; },
+    onMessage: async (message, context) => ++context.count
+  });
+  assert.strictEqual(await registry.send('counter', 'b'), 11);
+  await registry.stop('counter');
+});
+
+test('Reload: contexts holding live resources can be migrated', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('poller', {
+    onStart: async (context) => {
+      context.timer = setInterval(() => {}, 1000);
+      context.format = (n) => `#${n}`;
+    },
+    onMessage: async (message, context) => context.format(message),
+    onStop: async (context) => clearInterval(context.timer)
+  });
+  await registry.start('poller');
+  const { timer } = registry.get('poller').context;
+
+  await registry.reload('poller', {
+    migrate: async (old) => ({ ...old, format: (n) => `v2:${n}` }),
+    onMessage: async (message, context) => context.format(message),
+    onStop: async (context) => clearInterval(context.timer)
+  });
+  assert.strictEqual(await registry.send('poller', 1), 'v2:1');
+  assert.strictEqual(registry.get('poller').context.timer, timer);
+  await registry.stop('poller');
+});
+
+test('Reload: invalid reloads are refused', async (t) => {
+  const registry = new ServiceRegistry();
+  let release;
+  registry.register('counter', {
+    onStart: async (context) => {
+      context.count = 0;
+    },
+    onMessage: async (message, context) => {
+      if (message === 'hold') {
+        await new Promise((resolve) => { release = resolve; });
+      }
+      return `v1:${++context.count}`;
+    }
+  });
+  registry.register('isolated', { module: FIXTURE });
+  await registry.start('counter');
+
+  await assert.rejects(registry.reload('missing', {}), /not registered/);
+  await assert.rejects(registry.reload('isolated', {}), /is isolated/);
+
+  const held = registry.send('counter', 'hold');
+  const first = registry.reload('counter', {
+    onMessage: async (message, context) => `v2:${++context.count}`
+  });
+  await assert.rejects(registry.reload('counter', { onMessage: async () => 'v3' }), /already reloading/);
+  release();
+  await Promise.all([held, first]);
+  assert.strictEqual(await registry.send('counter', 'x'), 'v2:2');
+  await registry.stop('counter');
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry, ManualClock } from '../src/index.js';
+import { parseCron, nextCronTime } from '../src/schedule.js';
+import { settle } from './helpers.js';
+
+test('Schedule: every delivers through the mailbox until cancelled', async (t) => {
+  const clock = new ManualClock();
+  const registry = new ServiceRegistry({ clock });
+  const log = [];
+  registry.register('cache', {
+    onMessage: async (message) => {
+      log.push(message.op);
+    }
+  });
+  await registry.start('cache');
+
+  const schedule = registry.schedule('cache', { op: 'expire' }, { every: 1000 });
+  assert.strictEqual(schedule.next, 1000);
+  clock.advance(999);
+  await settle();
+  assert.deepStrictEqual(log, []);
+
+  clock.advance(1);
+  await settle();
+  assert.deepStrictEqual(log, ['expire']);
+  clock.advance(2000);
+  await settle();
+  assert.deepStrictEqual(log, ['expire', 'expire', 'expire']);
+  assert.strictEqual(schedule.runs, 3);
+
+  schedule.cancel();
+  clock.advance(5000);
+  await settle();
+  assert.strictEqual(log.length, 3);
+  assert.strictEqual(schedule.active, false);
+  await registry.stop('cache');
+});
+
+test('Schedule: at delivers once', async (t) => {
+  const clock = new ManualClock(new Date(2026, 0, 1));
+  const registry = new ServiceRegistry({ clock });
+  const log = [];
+  registry.register('cache', {
+    onMessage: async (message) => {
+      log.push(message.op);
+    }
+  });
+  await registry.start('cache');
+
+  const schedule = registry.schedule('cache', { op: 'rotate' }, { at: new Date(2026, 0, 2) });
+  clock.advance(24 * 60 * 60 * 1000);
+  await settle();
+  clock.advance(24 * 60 * 60 * 1000);
+  await settle();
+  assert.deepStrictEqual(log, ['rotate']);
+  assert.strictEqual(schedule.active, false);
+  assert.strictEqual(schedule.next, null);
+  await registry.stop('cache');
+});
+
+test('Schedule: cron fires on matching minutes', async (t) => {
+  const clock = new ManualClock(new Date(2026, 0, 1, 9, 58, 30));
+  const registry = new ServiceRegistry({ clock });
+  const log = [];
+  registry.register('cache', {
+    onMessage: async (message) => {
+      log.push(message.op);
+    }
+  });
+  await registry.start('cache');
+
+  const schedule = registry.schedule('cache', { op: 'rotate' }, { cron: '0 */2 * * *' });
+  assert.strictEqual(schedule.next, new Date(2026, 0, 1, 10, 0).getTime());
+  clock.advance(90 * 1000);
+  await settle();
+  assert.deepStrictEqual(log, ['rotate']);
+  assert.strictEqual(schedule.next, new Date(2026, 0, 1, 12, 0).getTime());
+  clock.advance(4 * 60 * 60 * 1000);
+  await settle();
+  assert.strictEqual(log.length, 3);
+  await registry.stop('cache');
+});
+
+test('Schedule: stopping the service cancels its schedules', async (t) => {
+  const clock = new ManualClock();
+  const registry = new ServiceRegistry({ clock });
+  const log = [];
+  for (const name of ['cache', 'other']) {
+    registry.register(name, {
+      onMessage: async (message) => {
+        log.push(message.op);
+      }
+    });
+  }
+  await registry.startAll();
+
+  const mine = registry.schedule('cache', { op: 'expire' }, { every: 100 });
+  const theirs = registry.schedule('other', { op: 'other' }, { every: 100 });
+  await registry.stop('cache');
+  assert.strictEqual(mine.active, false);
+  clock.advance(100);
+  await settle();
+  assert.deepStrictEqual(log, ['other']);
+
+  // Restarting does not bring schedules back
+  await registry.start('cache');
+  clock.advance(100);
+  await settle();
+  assert.deepStrictEqual(log, ['other', 'other']);
+  assert.strictEqual(theirs.active, true);
+  await registry.stopAll();
+});
+
+test('Schedule: failed deliveries are reported', async (t) => {
+  const clock = new ManualClock();
+  const registry = new ServiceRegistry({ clock });
+  registry.register('cache', {
+    onMessage: async () => {
+      throw new Error('expiry failed');
+    }
+  });
+  await registry.start('cache');
+
+  const errors = [];
+  registry.on('schedule:error', (e) => errors.push(e));
+  registry.schedule('cache', { op: 'fail' }, { every: 10, priority: 5 });
+  clock.advance(10);
+  await settle();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].name, 'cache');
+  assert.deepStrictEqual(errors[0].message, { op: 'fail' });
+  assert.strictEqual(errors[0].error.message, 'expiry failed');
+  await registry.stop('cache');
+});
+
+test('Schedule: invalid schedules are refused', async (t) => {
+  const registry = new ServiceRegistry({ clock: new ManualClock() });
+  registry.register('cache', { onMessage: async () => {} });
+  assert.throws(() => registry.schedule('missing', {}, { every: 10 }), /Service missing is not registered/);
+  assert.throws(() => registry.schedule('cache', {}, { every: 10 }), /Service cache is not running/);
+  await registry.start('cache');
+
+  assert.throws(() => registry.schedule('cache', {}, {}), /exactly one of every, cron or at/);
+  assert.throws(() => registry.schedule('cache', {}, { every: 10, at: 5 }), /exactly one of every, cron or at/);
+  assert.throws(() => registry.schedule('cache', {}, { every: 0 }), /positive number of ms/);
+  assert.throws(() => registry.schedule('cache', {}, { at: 'soon' }), /Invalid schedule time/);
+  assert.throws(() => registry.schedule('cache', {}, { cron: '* * *' }), /expected 5 fields/);
+  assert.throws(() => registry.schedule('cache', {}, { cron: '61 * * * *' }), /minute "61" is out of range 0-59/);
+  await registry.stop('cache');
+});
+
+test('Schedule: cron matching', async (t) => {
+  const next = (expression, from) => new Date(nextCronTime(parseCron(expression), from.getTime()));
+
+  // 2026-01-01 is a Thursday
+  const thursday = new Date(2026, 0, 1, 12, 0);
+  assert.deepStrictEqual(next('30 12 * * *', thursday), new Date(2026, 0, 1, 12, 30));
+  assert.deepStrictEqual(next('0 12 * * *', thursday), new Date(2026, 0, 2, 12, 0));
+  assert.deepStrictEqual(next('@weekly', thursday), new Date(2026, 0, 4, 0, 0));
+  assert.deepStrictEqual(next('0 0 * * 7', thursday), new Date(2026, 0, 4, 0, 0));
+  assert.deepStrictEqual(next('0 9 * * 1-5', new Date(2026, 0, 2, 10, 0)), new Date(2026, 0, 5, 9, 0));
+  assert.deepStrictEqual(next('0 0 29 2 *', thursday), new Date(2028, 1, 29, 0, 0));
+  assert.deepStrictEqual(next('15,45 * * * *', thursday), new Date(2026, 0, 1, 12, 15));
+  // A restricted day of month and day of week match either
+  assert.deepStrictEqual(next('0 0 15 * 6', thursday), new Date(2026, 0, 3, 0, 0));
+  assert.throws(() => nextCronTime(parseCron('0 0 31 2 *'), thursday.getTime()), /never matches/);
+});
@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceWorker, ServiceRegistry, ServiceStoppedError, MessageInterruptedError } from '../src/index.js';
+import { sleep } from './helpers.js';
+
+test('Stop: drain handles queued messages before onStop', async (t) => {
+  const handled = [];
+  const worker = new ServiceWorker('slow', {
+    onMessage: async (message) => {
+      await sleep(5);
+      handled.push(message);
+      return message;
+    },
+    onStop: async () => {
+      handled.push('onStop');
+    }
+  });
+  await worker.start();
+
+  const pending = [1, 2, 3].map((n) => worker.send(n));
+  await worker.stop({ mode: 'drain' });
+
+  assert.deepStrictEqual(await Promise.all(pending), [1, 2, 3]);
+  assert.deepStrictEqual(handled, [1, 2, 3, 'onStop']);
+  assert.strictEqual(worker.state, 'stopped');
+});
+
+test('Stop: reject fails queued and in-flight sends', async (t) => {
+  const handled = [];
+  const worker = new ServiceWorker('slow', {
+    onMessage: async (message) => {
+      await sleep(5);
+      handled.push(message);
+      return message;
+    },
+    onStop: async () => {
+      handled.push('onStop');
+    }
+  });
+  await worker.start();
+
+  const pending = [1, 2, 3].map((n) => worker.send(n).catch((error) => error));
+  await worker.stop();
+
+  const [running, ...queued] = await Promise.all(pending);
+  assert.ok(running instanceof MessageInterruptedError);
+  assert.strictEqual(running.code, 'EINTERRUPTED');
+  assert.strictEqual(running.service, 'slow');
+  for (const error of queued) {
+    assert.ok(error instanceof ServiceStoppedError);
+    assert.strictEqual(error.code, 'ESTOPPED');
+    assert.strictEqual(error.service, 'slow');
+  }
+  assert.strictEqual(worker.getState().queueLength, 0);
+  // The running handler finishes before onStop; the queued ones never start
+  assert.deepStrictEqual(handled, [1, 'onStop']);
+});
+
+test('Stop: the in-flight handler sees its signal abort', async (t) => {
+  let reason;
+  const worker = new ServiceWorker('waiting', {
+    onMessage: (message, context, { signal }) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => {
+        reason = signal.reason;
+        resolve();
+      });
+    })
+  });
+  await worker.start();
+
+  const pending = worker.send('x');
+  await worker.stop({ mode: 'reject' });
+  await assert.rejects(pending, MessageInterruptedError);
+  assert.ok(reason instanceof MessageInterruptedError);
+});
+
+test('Stop: onStop waits for a handler that is still running', async (t) => {
+  const connection = { open: true };
+  const seen = [];
+  const worker = new ServiceWorker('db', {
+    onMessage: async (message, context, { signal }) => {
+      // Ignores its signal and keeps using the connection
+      await sleep(20);
+      seen.push(connection.open);
+      return 'done';
+    },
+    onStop: async () => {
+      connection.open = false;
+    }
+  });
+  await worker.start();
+
+  const pending = worker.send('query').catch((error) => error);
+  await sleep(5);
+  await worker.stop();
+
+  assert.deepStrictEqual(seen, [true]);
+  assert.strictEqual(connection.open, false);
+  assert.strictEqual(worker.getState().inFlight, 0);
+  assert.strictEqual(worker.state, 'stopped');
+  const error = await pending;
+  assert.ok(error instanceof MessageInterruptedError);
+  assert.match(error.message, /stopped while handling the message/);
+});
+
+test('Stop: a handler that never settles only delays onStop by the grace period', async (t) => {
+  let stopped = false;
+  const worker = new ServiceWorker('wedged', {
+    onMessage: () => new Promise(() => {}),
+    onStop: async () => { stopped = true; }
+  });
+  await worker.start();
+
+  const pending = worker.send('x').catch((error) => error);
+  const began = Date.now();
+  await worker.stop({ mode: 'drain', timeout: 20, grace: 30 });
+
+  assert.ok(Date.now() - began >= 40);
+  assert.strictEqual(worker.state, 'stopped');
+  assert.strictEqual(stopped, true);
+  assert.ok(await pending instanceof MessageInterruptedError);
+});
+
+test('Stop: drain timeout rejects what is left', async (t) => {
+  const handled = [];
+  const worker = new ServiceWorker('slow', {
+    onMessage: async (message) => {
+      await sleep(20);
+      handled.push(message);
+      return message;
+    },
+    onStop: async () => {
+      handled.push('onStop');
+    }
+  });
+  await worker.start();
+
+  const pending = [1, 2, 3, 4].map((n) => worker.send(n).catch((error) => error));
+  await worker.stop({ mode: 'drain', timeout: 30 });
+  const results = await Promise.all(pending);
+
+  assert.strictEqual(results[0], 1);
+  assert.ok(results.slice(2).every((result) => result instanceof ServiceStoppedError));
+  assert.strictEqual(handled.at(-1), 'onStop');
+});
+
+test('Stop: blocked senders are drained or rejected too', async (t) => {
+  const worker = new ServiceWorker('bounded', {
+    onMessage: async (message) => {
+      await sleep(5);
+      return message;
+    }
+  }, { mailbox: { capacity: 1, overflow: 'block-until-space' } });
+  await worker.start();
+  const drained = [1, 2, 3].map((n) => worker.send(n));
+  assert.strictEqual(worker.getState().blocked, 1);
+  await worker.stop({ mode: 'drain' });
+  assert.deepStrictEqual(await Promise.all(drained), [1, 2, 3]);
+
+  await worker.start();
+  const rejected = [1, 2, 3].map((n) => worker.send(n).catch((error) => error.code));
+  await worker.stop({ mode: 'reject' });
+  assert.deepStrictEqual(await Promise.all(rejected), ['EINTERRUPTED', 'ESTOPPED', 'ESTOPPED']);
+  assert.strictEqual(worker.getState().blocked, 0);
+});
+
+test('Stop: sends are refused while draining', async (t) => {
+  const worker = new ServiceWorker('slow', {
+    onMessage: async (message) => {
+      await sleep(5);
+      return message;
+    }
+  });
+  await worker.start();
+  const pending = worker.send(1);
+  const stopping = worker.stop({ mode: 'drain' });
+
+  await assert.rejects(worker.send(2), /is not running \(state: stopping\)/);
+  await Promise.all([pending, stopping]);
+});
+
+test('Stop: stopAll passes the options to every service', async (t) => {
+  const registry = new ServiceRegistry();
+  const order = [];
+  for (const name of ['db', 'api']) {
+    registry.register(name, {
+      onMessage: async (message) => {
+        await sleep(5);
+        order.push(`${name}:${message}`);
+      },
+      onStop: async () => order.push(`${name}:stopped`)
+    }, { dependsOn: name === 'api' ? ['db'] : [] });
+  }
+  await registry.startAll();
+
+  const pending = [registry.send('db', 1), registry.send('api', 1), registry.send('api', 2)];
+  await registry.stopAll({ mode: 'drain' });
+  await Promise.all(pending);
+
+  // Dependents drain and stop before their dependencies
+  assert.deepStrictEqual(order.slice(-2), ['api:stopped', 'db:stopped']);
+  assert.ok(order.indexOf('api:2') < order.indexOf('api:stopped'));
+});
+
+test('Stop: unknown modes are rejected', async (t) => {
+  const worker = new ServiceWorker('slow', {
+    onMessage: async (message) => {
+      await sleep(5);
+      return message;
+    }
+  });
+  await worker.start();
+  await assert.rejects(worker.stop({ mode: 'abandon' }), /Unknown stop mode/);
+  assert.strictEqual(worker.state, 'running');
+  await worker.stop();
+});
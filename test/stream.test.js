@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ServiceRegistry, ServiceWorker, MessageInterruptedError } from '../src/index.js';
+import { sleep, settle } from './helpers.js';
+
+async function collect(iterable) {
+  const chunks = [];
+  for await (const chunk of iterable) chunks.push(chunk);
+  return chunks;
+}
+
+test('Stream: chunks arrive in order through the registry', async (t) => {
+  const registry = new ServiceRegistry();
+  registry.register('files', {
+    onMessage: async (message) => {
+      if (message.op === 'size') return 42;
+      return (async function* () {
+        for (let offset = 0; offset < message.length; offset += message.chunk) {
+          yield `${offset}`;
+        }
+      })();
+    }
+  });
+  await registry.start('files');
+
+  assert.deepStrictEqual(await collect(registry.stream('files', { length: 10, chunk: 4 })), ['0', '4', '8']);
+  // A plain response is a single chunk
+  assert.deepStrictEqual(await collect(registry.stream('files', { op: 'size' })), [42]);
+  await registry.stop('files');
+});
+
+test('Stream: the handler produces only what the consumer pulls', async (t) => {
+  let produced = 0;
+  const worker = new ServiceWorker('files', {
+    onMessage: async (message) => {
+      return (async function* () {
+        for (let offset = 0; offset < message.length; offset += message.chunk) {
+          produced++;
+          yield `${offset}`;
+        }
+      })();
+    }
+  });
+  await worker.start();
+
+  let consumed = 0;
+  for await (const chunk of worker.stream({ length: 100, chunk: 1 })) {
+    consumed++;
+    assert.ok(produced <= consumed, `produced ${produced} for ${consumed} consumed`);
+    await settle();
+  }
+  assert.strictEqual(consumed, 100);
+  await worker.stop();
+});
+
+test('Stream: leaving early closes the handler generator', async (t) => {
+  let produced = 0;
+  let closed = false;
+  const worker = new ServiceWorker('files', {
+    onMessage: async (message) => {
+      if (message.op === 'size') return 42;
+      return (async function* () {
+        try {
+          for (let offset = 0; offset < message.length; offset += message.chunk) {
+            produced++;
+            yield `${offset}`;
+          }
+        } finally {
+          closed = true;
+        }
+      })();
+    }
+  });
+  await worker.start();
+
+  const chunks = [];
+  for await (const chunk of worker.stream({ length: 1000, chunk: 1 })) {
+    chunks.push(chunk);
+    if (chunks.length === 3) break;
+  }
+  assert.deepStrictEqual(chunks, ['0', '1', '2']);
+  assert.strictEqual(closed, true);
+  assert.strictEqual(produced, 3);
+
+  // The mailbox slot was given back
+  assert.strictEqual(await worker.send({ op: 'size' }), 42);
+  assert.strictEqual(worker.getState().inFlight, 0);
+  await worker.stop();
+});
+
+test('Stream: an open stream holds the mailbox unless told otherwise', async (t) => {
+  for (const holdMailbox of [true, false]) {
+    const worker = new ServiceWorker('files', {
+      onMessage: async (message) => {
+        if (message.op === 'size') return 42;
+        return (async function* () {
+          for (let offset = 0; offset < message.length; offset += message.chunk) {
+            yield `${offset}`;
+          }
+        })();
+      }
+    });
+    await worker.start();
+
+    const stream = worker.stream({ length: 3, chunk: 1 }, { holdMailbox });
+    assert.strictEqual((await stream.next()).value, '0');
+
+    let answered = false;
+    const next = worker.send({ op: 'size' }).then(() => { answered = true; });
+    await sleep(10);
+    assert.strictEqual(answered, !holdMailbox, `holdMailbox: ${holdMailbox}`);
+
+    await collect(stream);
+    await next;
+    assert.strictEqual(answered, true);
+    await worker.stop();
+  }
+});
+
+test('Stream: stopping the service ends open streams', async (t) => {
+  const worker = new ServiceWorker('files', {
+    onMessage: async (message) => {
+      return (async function* () {
+        for (let offset = 0; offset < message.length; offset += message.chunk) {
+          yield `${offset}`;
+        }
+      })();
+    }
+  });
+  await worker.start();
+
+  const stream = worker.stream({ length: 10, chunk: 1 });
+  await stream.next();
+  await worker.stop();
+  await assert.rejects(stream.next(), MessageInterruptedError);
+});
+
+test('Stream: send() still resolves the iterable without holding the mailbox', async (t) => {
+  const worker = new ServiceWorker('files', {
+    onMessage: async (message) => {
+      return (async function* () {
+        for (let offset = 0; offset < message.length; offset += message.chunk) {
+          yield `${offset}`;
+        }
+      })();
+    }
+  });
+  await worker.start();
+
+  const iterable = await worker.send({ length: 2, chunk: 1 });
+  assert.strictEqual(worker.getState().inFlight, 0);
+  assert.deepStrictEqual(await collect(iterable), ['0', '1']);
+  await worker.stop();
+});
@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import { ServiceRegistry, Supervisor } from '../src/index.js';
+import { sleep } from './helpers.js';
+
+/**
+ * Registry with services whose start/stop can be made to fail on demand
+ */
+function createRegistry(names) {
+  const registry = new ServiceRegistry();
+  const controls = {};
+
+  for (const name of names) {
+    const control = { starts: 0, failStarts: 0, failStops: 0 };
+    controls[name] = control;
+    registry.register(name, {
+      onStart: async () => {
+        if (control.failStarts > 0) {
+          control.failStarts--;
+          throw new Error(`${name} failed to start`);
+        }
+        control.starts++;
+      },
+      onStop: async () => {
+        if (control.failStops > 0) {
+          control.failStops--;
+          throw new Error(`${name} crashed`);
+        }
+      }
+    });
+  }
+
+  return { registry, controls };
+}
+
+async function crash(registry, controls, name) {
+  controls[name].failStops = 1;
+  await assert.rejects(registry.stop(name), /crashed/);
+  assert.strictEqual(registry.get(name).state, 'error');
+}
+
+const fast = { backoff: { initial: 1, factor: 2, max: 10 } };
+
+test('Supervisor: starts children and rejects unknown strategies', async (t) => {
+  const { registry, controls } = createRegistry(['a', 'b']);
+  const supervisor = new Supervisor(registry, fast);
+
+  await supervisor.start();
+  assert.strictEqual(registry.get('a').state, 'running');
+  assert.strictEqual(registry.get('b').state, 'running');
+  assert.strictEqual(controls.a.starts, 1);
+  assert.deepStrictEqual(supervisor.getState(), {
+    state: 'running',
+    strategy: 'one_for_one',
+    children: ['a', 'b'],
+    restarts: 0
+  });
+
+  await supervisor.stop({ stopChildren: true });
+  assert.strictEqual(registry.get('a').state, 'stopped');
+
+  assert.throws(() => new Supervisor(registry, { strategy: 'all_for_none' }), /Unknown supervisor strategy/);
+});
+
+test('Supervisor: one_for_one restarts only the crashed service', async (t) => {
+  const { registry, controls } = createRegistry(['a', 'b', 'c']);
+  const supervisor = new Supervisor(registry, fast);
+  await supervisor.start();
+
+  const restarted = once(supervisor, 'restarted');
+  await crash(registry, controls, 'b');
+  const [event] = await restarted;
+
+  assert.deepStrictEqual(event.group, ['b']);
+  assert.strictEqual(registry.get('b').state, 'running');
+  assert.deepStrictEqual([controls.a.starts, controls.b.starts, controls.c.starts], [1, 2, 1]);
+
+  await supervisor.stop({ stopChildren: true });
+});
+
+test('Supervisor: one_for_all restarts every child', async (t) => {
+  const { registry, controls } = createRegistry(['a', 'b', 'c']);
+  const supervisor = new Supervisor(registry, { ...fast, strategy: 'one_for_all' });
+  await supervisor.start();
+
+  const stopped = [];
+  registry.on('service:stopped', (e) => stopped.push(e.name));
+
+  const restarted = once(supervisor, 'restarted');
+  await crash(registry, controls, 'b');
+  await restarted;
+
+  // Siblings stop in reverse order before everything starts again
+  assert.deepStrictEqual(stopped, ['c', 'a']);
+  assert.deepStrictEqual([controls.a.starts, controls.b.starts, controls.c.starts], [2, 2, 2]);
+
+  await supervisor.stop({ stopChildren: true });
+});
+
+test('Supervisor: rest_for_one restarts the crashed service and later ones', async (t) => {
+  const { registry, controls } = createRegistry(['a', 'b', 'c']);
+  const supervisor = new Supervisor(registry, { ...fast, strategy: 'rest_for_one' });
+  await supervisor.start();
+
+  const restarted = once(supervisor, 'restarted');
+  await crash(registry, controls, 'b');
+  const [event] = await restarted;
+
+  assert.deepStrictEqual(event.group, ['b', 'c']);
+  assert.deepStrictEqual([controls.a.starts, controls.b.starts, controls.c.starts], [1, 2, 2]);
+
+  await supervisor.stop({ stopChildren: true });
+});
+
+test('Supervisor: failed restarts back off exponentially', async (t) => {
+  const { registry, controls } = createRegistry(['a']);
+  const supervisor = new Supervisor(registry, { ...fast, maxRestarts: 5 });
+  await supervisor.start();
+
+  const delays = [];
+  supervisor.on('restarting', (e) => delays.push(e.delay));
+
+  controls.a.failStarts = 2;
+  const restarted = once(supervisor, 'restarted');
+  await crash(registry, controls, 'a');
+  await restarted;
+
+  assert.deepStrictEqual(delays, [1, 2, 4]);
+  assert.strictEqual(registry.get('a').state, 'running');
+  assert.strictEqual(supervisor.getState().restarts, 3);
+
+  await supervisor.stop({ stopChildren: true });
+});
+
+test('Supervisor: escalates when restart intensity is exceeded', async (t) => {
+  const { registry, controls } = createRegistry(['a', 'b']);
+  const supervisor = new Supervisor(registry, { ...fast, maxRestarts: 2, period: 60000 });
+  await supervisor.start();
+
+  const registryEvents = [];
+  registry.on('supervisor:escalated', (e) => registryEvents.push(e));
+
+  controls.a.failStarts = Infinity;
+  const escalated = once(supervisor, 'escalated');
+  await crash(registry, controls, 'a');
+  const [event] = await escalated;
+
+  assert.strictEqual(event.name, 'a');
+  assert.strictEqual(event.restarts, 2);
+  assert.strictEqual(registryEvents.length, 1);
+  assert.strictEqual(supervisor.state, 'failed');
+
+  // The supervisor no longer reacts, and its remaining children are stopped
+  await supervisor.queue;
+  assert.strictEqual(registry.get('b').state, 'stopped');
+  assert.strictEqual(registry.listenerCount('service:error'), 0);
+});
+
+test('Supervisor: ignores services it does not supervise', async (t) => {
+  const { registry, controls } = createRegistry(['a', 'b']);
+  const supervisor = new Supervisor(registry, { ...fast, children: ['a'] });
+  await supervisor.start();
+  await registry.start('b');
+
+  const restarting = [];
+  supervisor.on('restarting', (e) => restarting.push(e.name));
+  await crash(registry, controls, 'b');
+  await sleep(10);
+
+  assert.deepStrictEqual(restarting, []);
+  assert.strictEqual(registry.get('b').state, 'error');
+
+  await supervisor.stop({ stopChildren: true });
+});
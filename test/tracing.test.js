@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import {
+  ServiceRegistry,
+  ServiceWorker,
+  InMemoryExporter,
+  OtlpJsonFileExporter,
+  MessageTimeoutError
+} from '../src/index.js';
+import { sleep, settle, tempDir } from './helpers.js';
+
+test('Tracing: nested calls join the caller trace', async (t) => {
+  const exporter = new InMemoryExporter();
+  const registry = new ServiceRegistry({ tracing: { exporter } });
+  registry.register('db', {
+    onMessage: async (message) => [message.query]
+  });
+  registry.register('api', {
+    onMessage: async (message, context, { call, trace }) => ({
+      rows: await call('db', { query: message.path }),
+      trace
+    })
+  });
+  await registry.startAll();
+
+  const { trace } = await registry.send('api', { path: '/users' });
+  await settle();
+
+  assert.match(trace.traceId, /^[0-9a-f]{32}$/);
+  assert.match(trace.spanId, /^[0-9a-f]{16}$/);
+  assert.deepStrictEqual(exporter.spans.map((span) => span.name).sort(), [
+    'api handle',
+    'api queue',
+    'db handle',
+    'db queue'
+  ]);
+  const byName = Object.fromEntries(exporter.spans.map((span) => [span.name, span]));
+  for (const span of exporter.spans) {
+    assert.strictEqual(span.traceId, trace.traceId);
+    assert.strictEqual(span.error, null);
+    assert.ok(span.endTime >= span.startTime);
+  }
+  assert.strictEqual(byName['api handle'].spanId, trace.spanId);
+  assert.strictEqual(byName['api handle'].parentSpanId, null);
+  assert.strictEqual(byName['api queue'].parentSpanId, null);
+  assert.strictEqual(byName['db handle'].parentSpanId, trace.spanId);
+  assert.strictEqual(byName['db queue'].parentSpanId, trace.spanId);
+  assert.strictEqual(byName['db handle'].attributes['eiasw.service'], 'db');
+  assert.strictEqual(byName['db handle'].messageId, byName['db queue'].messageId);
+  assert.ok(byName['db queue'].endTime <= byName['db handle'].startTime);
+
+  // Separate sends start separate traces
+  const second = await registry.send('api', { path: '/orders' });
+  assert.notStrictEqual(second.trace.traceId, trace.traceId);
+  await registry.stopAll();
+});
+
+test('Tracing: an external parent context is continued', async (t) => {
+  const exporter = new InMemoryExporter();
+  const worker = new ServiceWorker('echo', {
+    onMessage: async (message, context, { trace }) => trace
+  }, { tracing: { exporter } });
+  await worker.start();
+
+  const parent = { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16) };
+  const trace = await worker.send('hi', { trace: parent });
+  await settle();
+  assert.strictEqual(trace.traceId, parent.traceId);
+  assert.notStrictEqual(trace.spanId, parent.spanId);
+  assert.ok(exporter.spans.every((span) => span.parentSpanId === parent.spanId));
+  await worker.stop();
+});
+
+test('Tracing: failures end spans with the error', async (t) => {
+  const exporter = new InMemoryExporter();
+  const registry = new ServiceRegistry({ tracing: { exporter } });
+  registry.register('slow', {
+    onMessage: async (message) => {
+      if (message === 'fail') throw new Error('handler failed');
+      await sleep(30);
+    }
+  });
+  await registry.start('slow');
+
+  await assert.rejects(registry.send('slow', 'fail'), /handler failed/);
+  await settle();
+  const handle = exporter.spans.find((span) => span.kind === 'handler');
+  assert.deepStrictEqual(handle.error, { name: 'Error', message: 'handler failed' });
+
+  // A message that times out in the mailbox never gets a handler span
+  exporter.reset();
+  const busy = registry.send('slow', 'wait');
+  await assert.rejects(registry.send('slow', 'late', { timeout: 5 }), MessageTimeoutError);
+  await busy;
+  await settle();
+  const queued = exporter.spans.filter((span) => span.kind === 'queue');
+  assert.strictEqual(queued.length, 2);
+  assert.strictEqual(queued[1].error.name, 'MessageTimeoutError');
+  assert.strictEqual(exporter.spans.filter((span) => span.kind === 'handler').length, 1);
+  await registry.stop('slow');
+});
+
+test('Tracing: exporter failures are reported, not thrown', async (t) => {
+  const registry = new ServiceRegistry({
+    tracing: { exporter: { export: async () => { throw new Error('collector down'); } } }
+  });
+  registry.register('echo', { onMessage: async (message) => message });
+  await registry.start('echo');
+
+  const errors = [];
+  registry.on('service:trace-error', (e) => errors.push(e));
+  assert.strictEqual(await registry.send('echo', 1), 1);
+  await settle();
+  assert.strictEqual(errors.length, 2);
+  assert.strictEqual(errors[0].name, 'echo');
+  assert.strictEqual(errors[0].error.message, 'collector down');
+  await registry.stop('echo');
+});
+
+test('Tracing: OTLP JSON file exporter', async (t) => {
+  const dir = await tempDir(t);
+  const path = join(dir, 'traces.jsonl');
+  const exporter = new OtlpJsonFileExporter(path);
+  const registry = new ServiceRegistry({ tracing: { exporter } });
+  registry.register('db', {
+    onMessage: async (message) => {
+      if (message.query === 'bad') throw new Error('syntax error');
+      return [message.query];
+    }
+  });
+  registry.register('api', {
+    onMessage: async (message, context, { call }) => call('db', { query: message.path })
+  });
+  await registry.startAll();
+
+  await registry.send('api', { path: '/users' });
+  await assert.rejects(registry.send('db', { query: 'bad' }));
+  await settle();
+  await exporter.shutdown();
+
+  const requests = (await readFile(path, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+  const spans = requests.flatMap((request) => request.resourceSpans.map((resource) => ({
+    service: resource.resource.attributes[0].value.stringValue,
+    span: resource.scopeSpans[0].spans[0]
+  })));
+  assert.strictEqual(spans.length, 6);
+  const failed = spans.find(({ span }) => span.status.code === 2);
+  assert.strictEqual(failed.service, 'db');
+  assert.strictEqual(failed.span.name, 'db handle');
+  assert.strictEqual(failed.span.status.message, 'Error: syntax error');
+  for (const { span } of spans) {
+    assert.match(span.startTimeUnixNano, /^\d{19}$/);
+    assert.ok(BigInt(span.endTimeUnixNano) >= BigInt(span.startTimeUnixNano));
+  }
+  const nested = spans.find(({ span }) => span.name === 'db queue' && span.parentSpanId);
+  assert.strictEqual(nested.span.kind, 1);
+  await registry.stopAll();
+});